@@ -13,6 +13,15 @@ import adminRoutes from './routes/admin.js';
 import emailRoutes from './routes/email.js';
 import customerRoutes from './routes/customers.js';
 import slideRoutes from './routes/slides.js';
+import couponRoutes from './routes/coupons.js';
+import returnRoutes from './routes/returns.js';
+import refundRoutes from './routes/refunds.js';
+import paymentRoutes from './routes/payments.js';
+import reconciliationRoutes from './routes/reconciliation.js';
+import cartRoutes from './routes/cart.js';
+import categoryRoutes from './routes/categories.js';
+import collectionRoutes from './routes/collections.js';
+import { startCartReminders } from './utils/abandonedCarts.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,9 +36,18 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || ['http://localhost:3000', 'https://parnikasilks.vercel.app'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Cart-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Total-Count', 'X-Next-Cursor']
+}));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the exact bytes for payment webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
 }));
-app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // Serve static files
@@ -41,10 +59,18 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin/reconciliation', reconciliationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/slides', slideRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/collections', collectionRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -80,7 +106,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parnika_s
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  startCartReminders();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Start server
@@ -55,4 +55,42 @@ export const adminAuth = async (req, res, next) => {
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
-}; 
\ No newline at end of file
+};
+
+// Use after adminAuth: limits a route to admins holding the given permission
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user?.hasPermission(permission)) {
+    return res.status(403).json({ message: `Permission required: ${permission}` });
+  }
+  next();
+};
+
+// Like auth, but lets requests without a token through as guests
+export const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+// For routes on a single order: accepts a user's token, or the guest order
+// token handed out at guest checkout (sets req.guestOrderId instead of
+// req.user). Check ownership with ownsOrder from utils/guestOrders.js.
+export const orderAccess = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.guestOrder) {
+      req.guestOrderId = decoded.guestOrder;
+      return next();
+    }
+  } catch (error) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+  return auth(req, res, next);
+};
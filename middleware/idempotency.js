@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const getTtlHours = () => parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// How long a request may hold its key before a retry can take it over, in
+// case the process died before the response was stored
+const getLeaseSeconds = () => parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 120;
+
+// Whose key it is: the user, the guest holding an order token, or at guest
+// checkout the email given, so guests never share keys
+const getKeyOwner = (req) => {
+  if (req.user) return req.user._id.toString();
+  if (req.guestOrderId) return `guest-order:${req.guestOrderId}`;
+  const email = req.body?.guest?.email;
+  if (typeof email === 'string' && email.trim()) return `guest:${email.trim().toLowerCase()}`;
+  return 'anonymous';
+};
+
+// Honour an `Idempotency-Key` header: the first request with a key runs as
+// normal and its JSON response is stored; retries with the same key get that
+// response back instead of running again. Use after the auth middleware so
+// keys are scoped per user. Requests without the header are unaffected.
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ success: false, message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const scope = `${getKeyOwner(req)}:${req.method}:${req.originalUrl.split('?')[0]}`;
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + getLeaseSeconds() * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, scope });
+    if (!existing) {
+      // Expired between the insert and the lookup; treat as new
+      return idempotent(req, res, next);
+    }
+    if (existing.expiresAt <= new Date()) {
+      // A lapsed lease or stored response the TTL monitor hasn't removed yet
+      await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+      return idempotent(req, res, next);
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({ success: false, message: 'This Idempotency-Key was already used for a different request' });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  const release = () => IdempotencyKey.deleteOne({ key, scope, status: 'processing' }).exec();
+  let stored = false;
+
+  // Store the response before it is sent, so an immediate retry sees it.
+  // Server errors release the key so the request can be tried again.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const saved = res.statusCode >= 500
+      ? release()
+      : IdempotencyKey.updateOne({ key, scope }, {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        // Stored as the client received it
+        responseBody: JSON.parse(JSON.stringify(body)),
+        expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000)
+      }).exec();
+
+    saved
+      .catch(error => console.error('Error saving idempotent response:', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  // Responses sent some other way (send, end, a stream, an error page)
+  // can't be replayed, so release the key for a retry. If the client went
+  // away first the handler may still be running; its lease covers that.
+  res.on('close', () => {
+    if (stored || !res.writableFinished) return;
+    release().catch(error => console.error('Error releasing idempotency key:', error));
+  });
+
+  next();
+};
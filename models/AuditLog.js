@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Append-only record of sensitive admin actions
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'auditlogs'
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
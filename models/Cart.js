@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Required when the product is sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A shopper's cart. Signed-in shoppers have one cart tied to their account;
+// guests are identified by `guestId`, which the storefront sends back in
+// the X-Cart-Id header. Guest carts expire once left alone long enough.
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestId: {
+    type: String
+  },
+  items: [cartItemSchema],
+  // Last change made by the shopper; reminders don't count
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Abandoned cart emails sent for this cart
+  reminders: [{
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    couponCode: String,
+    convertedOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  }],
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ lastActivityAt: 1 });
+
+// Line holding this product/variant, if any
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  ) || null;
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
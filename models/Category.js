@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// A specification products in the category carry, e.g. blouse piece or
+// zari type for sarees. `values` lists the choices of an enum attribute.
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true
+  },
+  label: {
+    type: String,
+    required: [true, 'Attribute label is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['enum', 'text', 'number', 'boolean'],
+    required: [true, 'Attribute type is required']
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  values: [{
+    type: String,
+    trim: true
+  }],
+  // Shown after number values, e.g. "m" for saree length
+  unit: String,
+  // Offered as a storefront filter
+  filterable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// A node in the catalogue tree, e.g. Sarees > Silk Sarees > Kanjivaram.
+// `ancestors` holds every category above this one (root first) so a whole
+// branch can be found with one indexed query.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    trim: true,
+    lowercase: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  // GridFS file id or URL
+  image: String,
+  seo: {
+    title: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    keywords: [{
+      type: String,
+      trim: true
+    }]
+  },
+  // Lower comes first among siblings
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Which GST rule applies to products in this category (see
+  // CATEGORY_TAX_RULES); new categories take their parent's
+  taxClass: {
+    type: String,
+    default: 'other'
+  },
+  // Added to those inherited from parent categories
+  attributes: [attributeSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// A merchandised group of products shown on its own page, e.g. "Wedding
+// Edit" or "Under ₹5000". Manual collections list their products in the
+// order chosen by an admin; rule collections match the live catalogue.
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: [true, 'Collection slug is required'],
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // GridFS file id or URL
+  image: String,
+  seo: {
+    title: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    keywords: [{
+      type: String,
+      trim: true
+    }]
+  },
+  type: {
+    type: String,
+    enum: ['manual', 'rule'],
+    required: [true, 'Collection type is required']
+  },
+  // Manual collections, in display order
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Rule collections: a product must match every rule that is set
+  rules: {
+    // Anything in these categories or below them
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    minPrice: Number,
+    maxPrice: Number,
+    // Specification values, e.g. { occasion: ['Wedding', 'Bridal'] }
+    specifications: {
+      type: Map,
+      of: [String],
+      default: {}
+    },
+    inStockOnly: {
+      type: Boolean,
+      default: false
+    },
+    // Only products with a discount
+    onSale: {
+      type: Boolean,
+      default: false
+    },
+    // Only products added in the last N days
+    newWithinDays: Number
+  },
+  // Order products are shown in; "featured" is the manual order
+  defaultSort: {
+    type: String,
+    enum: ['featured', 'newest', 'price_asc', 'price_desc', 'popularity'],
+    default: 'featured'
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Optional window for seasonal collections
+  startsAt: Date,
+  endsAt: Date
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ slug: 1 }, { unique: true });
+collectionSchema.index({ isActive: 1, sortOrder: 1 });
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Named sequences (invoice numbers, order numbers) incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  collection: 'counters',
+  versionKey: false
+});
+
+// Next value of the named sequence, creating it on first use
+counterSchema.statics.next = async function(name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+// A coupon code ("FESTIVE10") or, with `isAutomatic`, a promotion applied to
+// every qualifying cart without a code ("buy 2 sarees get 10% off")
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Coupon name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['percentage', 'flat', 'free_shipping', 'bogo']
+  },
+  // Percentage off for `percentage`, rupees off for `flat`
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0
+  },
+  // Cap on the discount a `percentage` coupon can give
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Buy `buyQuantity` get `getQuantity` at `getDiscountPercentage` off (100 = free)
+  bogo: {
+    buyQuantity: {
+      type: Number,
+      min: [1, 'Buy quantity must be at least 1'],
+      default: 1
+    },
+    getQuantity: {
+      type: Number,
+      min: [1, 'Get quantity must be at least 1'],
+      default: 1
+    },
+    getDiscountPercentage: {
+      type: Number,
+      min: [0, 'Discount percentage cannot be negative'],
+      max: [100, 'Discount percentage cannot exceed 100'],
+      default: 100
+    }
+  },
+  isAutomatic: {
+    type: Boolean,
+    default: false
+  },
+  minCartValue: {
+    type: Number,
+    min: [0, 'Minimum cart value cannot be negative'],
+    default: 0
+  },
+  // Units of in-scope products needed before the coupon applies
+  minQuantity: {
+    type: Number,
+    min: [0, 'Minimum quantity cannot be negative'],
+    default: 0
+  },
+  // Empty lists mean the coupon applies to the whole catalogue. Categories
+  // are slugs and cover their subcategories too.
+  appliesTo: {
+    categories: [{
+      type: String
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per user limit must be at least 1']
+  },
+  // Set on coupons issued to one customer, e.g. in a cart reminder; nobody
+  // else can use them
+  restrictedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  collection: 'coupons',
+  timestamps: true
+});
+
+couponSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+couponSchema.index({ isAutomatic: 1, isActive: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (!this.isAutomatic && !this.code) {
+    return next(new Error('A code is required unless the promotion is automatic'));
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.startsAt && this.endsAt && this.endsAt < this.startsAt) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+// Reason the coupon can't be used right now, or null if it can
+couponSchema.methods.getAvailabilityError = function(now = new Date()) {
+  if (!this.isActive) return 'This coupon is no longer active';
+  if (this.startsAt && this.startsAt > now) return 'This coupon is not active yet';
+  if (this.endsAt && this.endsAt < now) return 'This coupon has expired';
+  if (this.usageLimit && this.usedCount >= this.usageLimit) return 'This coupon has reached its usage limit';
+  return null;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
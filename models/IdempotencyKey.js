@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// A client-supplied Idempotency-Key and the response first sent for it.
+// Documents expire on their own once `expiresAt` passes: a short lease
+// while the request is processing, then the replay window.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Who sent it and to which endpoint, so keys never collide across users
+  scope: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'idempotencykeys',
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
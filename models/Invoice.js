@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A GST invoice issued for an order. The PDF is rendered once, stored in
+// GridFS and served as-is afterwards so an issued invoice never changes.
+const invoiceSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+    unique: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'uploads.files',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  totalAmount: Number,
+  totalTax: Number,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'invoices'
+});
+
+invoiceSchema.index({ issuedAt: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
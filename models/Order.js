@@ -1,10 +1,20 @@
 import mongoose from 'mongoose';
 
 const orderSchema = new mongoose.Schema({
+  // Empty for guest checkouts until the guest claims the order
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'User ID is required']
+    ref: 'User'
+  },
+  // Contact details of a guest who checked out without an account
+  guest: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: String
   },
   items: [{
     product: {
@@ -12,6 +22,27 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: [true, 'Product ID is required']
     },
+    // Set when the product is sold in variants (colour, size, ...)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
+    options: {
+      type: Map,
+      of: String
+    },
+    // Snapshot of the product when it was bought
+    name: String,
+    image: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'uploads.files'
+    },
+    specifications: {
+      type: Map,
+      of: String
+    },
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'],
@@ -21,7 +52,25 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: [true, 'Price is required'],
       min: [0, 'Price cannot be negative']
-    }
+    },
+    // Pre-discount price at the time of purchase, for showing savings
+    listPrice: {
+      type: Number,
+      min: [0, 'List price cannot be negative']
+    },
+    // This line's share of coupon and promotion discounts
+    promotionDiscount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      default: 0
+    },
+    // GST on what was paid for this line (prices are tax inclusive)
+    hsnCode: String,
+    taxRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
   }],
   totalAmount: {
     type: Number,
@@ -39,11 +88,78 @@ const orderSchema = new mongoose.Schema({
     required: false,
     min: [0, 'Subtotal cannot be negative']
   },
+  couponCode: {
+    type: String
+  },
+  discounts: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative']
+    }
+  }],
+  discountTotal: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    sellerState: String,
+    placeOfSupply: String,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    delivery: {
+      amount: Number,
+      taxRate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number
+    }
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
+  // Every status change, oldest first, for the tracking timeline
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   shippingAddress: {
     fullName: {
       type: String,
@@ -81,14 +197,67 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Total of processed refunds, kept in step with the Refund ledger
+  refundedAmount: {
+    type: Number,
+    min: [0, 'Refunded amount cannot be negative'],
+    default: 0
+  },
   paymentDetails: {
     paymentDate: Date,
     amount: Number,
     transactionId: String,
-    verified: { type: Boolean, default: false }
+    verified: { type: Boolean, default: false },
+    // Set for online payments taken through a gateway
+    provider: String,
+    gatewayOrderId: String,
+    // Every gateway order opened for this order, oldest first; a customer
+    // may still pay in the window of an earlier attempt
+    gatewayOrders: [{
+      _id: false,
+      provider: String,
+      id: String,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    failureReason: String
+  },
+  // UTR and screenshot submitted by the customer for a manual UPI or bank
+  // transfer, reviewed by an admin
+  paymentProof: {
+    utr: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    screenshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'uploads.files'
+    },
+    submittedAt: Date,
+    status: {
+      type: String,
+      enum: ['submitted', 'verified', 'rejected']
+    },
+    // Other orders already quoting the same UTR
+    duplicateOf: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }],
+    rejectionReason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  // Customer-facing number, e.g. PS-2026-000123
+  orderNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
   },
   trackingNumber: {
     type: String,
@@ -99,10 +268,32 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
   courierService: {
     type: String,
     default: null
   },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  // Marketing touch credited with the sale
+  attribution: {
+    source: {
+      type: String,
+      enum: ['cart_reminder']
+    },
+    reminderSentAt: Date,
+    couponCode: String
+  },
+  // Set on orders created to ship an exchange
+  replacementFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -111,6 +302,21 @@ const orderSchema = new mongoose.Schema({
   collection: 'orders' // Explicitly set collection name
 });
 
+// Every order belongs to an account or carries a guest email to reach
+orderSchema.pre('validate', function(next) {
+  if (!this.user && !this.guest?.email) {
+    this.invalidate('user', 'User ID or guest email is required');
+  }
+  next();
+});
+
+orderSchema.index({ orderNumber: 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'guest.email': 1 }, { sparse: true });
+orderSchema.index({ 'paymentDetails.gatewayOrderId': 1 }, { sparse: true });
+orderSchema.index({ 'paymentDetails.gatewayOrders.id': 1 }, { sparse: true });
+orderSchema.index({ 'paymentProof.utr': 1 }, { sparse: true });
+orderSchema.index({ 'paymentProof.status': 1, 'paymentProof.submittedAt': 1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One-time code emailed to prove a guest owns an email address, either to
+// look up one guest order or to claim every guest order into an account.
+// Only a hash of the code is stored; documents expire on their own.
+const orderOtpSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: ['order_lookup', 'order_claim'],
+    required: true
+  },
+  // Set for lookups: the order the code unlocks
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Codes emailed so far; a resend replaces the code but keeps the attempts
+  sends: {
+    type: Number,
+    default: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+orderOtpSchema.index({ email: 1, purpose: 1 });
+orderOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OrderOtp = mongoose.model('OrderOtp', orderOtpSchema);
+
+export default OrderOtp;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// A payment notification already applied to an order. The unique event id
+// makes gateway retries and replayed webhooks no-ops.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  // How the event reached us: the checkout callback or a webhook
+  source: {
+    type: String,
+    enum: ['callback', 'webhook'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  gatewayOrderId: String,
+  paymentId: String,
+  amount: Number,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'paymentevents'
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ order: 1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
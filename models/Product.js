@@ -22,6 +22,56 @@ const reviewSchema = new mongoose.Schema({
   }
 });
 
+// An option axis such as colour, size or blouse option, with its allowed values
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true
+  },
+  values: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  // One value per option axis, e.g. { color: 'Maroon', blouse: 'Stitched' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  images: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'uploads.files'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -47,9 +97,20 @@ const productSchema = new mongoose.Schema({
     max: [100, 'Discount percentage cannot exceed 100']
   },
   category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Product category is required']
+  },
+  // The category and every category above it, so listing a category
+  // includes products filed under its subcategories
+  categoryPath: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Overrides the category's default HSN code on invoices
+  hsnCode: {
     type: String,
-    required: [true, 'Product category is required'],
-    enum: ['saree', 'dress', 'lehenga', 'salwar', 'other']
+    trim: true
   },
   images: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -62,28 +123,29 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  deliveryCharges: {
+    type: Number,
+    min: [0, 'Delivery charges cannot be negative'],
+    default: 0
+  },
+  deliveryChargesApplicable: {
+    type: Boolean,
+    default: true
+  },
+  // Values for the attributes of the product's category, keyed by
+  // attribute key; checked against the category when saved through the API
   specifications: {
-    material: {
-      type: String,
-      default: 'Not specified'
-    },
-    color: {
-      type: String,
-      default: 'Not specified'
-    },
-    sareeType: {
-      type: String,
-      default: 'Not specified'
-    },
-    occasion: {
-      type: String,
-      default: 'Not specified'
-    },
-    pattern: {
-      type: String,
-      default: 'Not specified'
-    }
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
   },
+  options: [optionSchema],
+  variants: [variantSchema],
   reviews: [reviewSchema],
   averageRating: {
     type: Number,
@@ -105,6 +167,96 @@ const productSchema = new mongoose.Schema({
   collection: 'products' // Explicitly set collection name
 });
 
+// Variant SKUs are unique across the catalogue
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+productSchema.index({ categoryPath: 1 });
+
+// Storefront search; a match in the name counts most. Only the original
+// specification fields are indexed; other attributes are found via facets.
+productSchema.index(
+  {
+    name: 'text',
+    description: 'text',
+    'specifications.material': 'text',
+    'specifications.color': 'text',
+    'specifications.sareeType': 'text',
+    'specifications.occasion': 'text',
+    'specifications.pattern': 'text'
+  },
+  {
+    name: 'product_search',
+    weights: {
+      name: 10,
+      'specifications.material': 4,
+      'specifications.color': 4,
+      'specifications.sareeType': 4,
+      'specifications.occasion': 4,
+      'specifications.pattern': 4,
+      description: 1
+    }
+  }
+);
+
+// Check variants against the option axes and keep the product-level stock
+// as the total of its active variants
+productSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) return next();
+
+  const axes = new Map((this.options || []).map(option => [option.name, option.values]));
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku)) {
+      return next(new Error(`Duplicate variant SKU: ${variant.sku}`));
+    }
+    skus.add(variant.sku);
+
+    for (const [name, value] of variant.options || []) {
+      if (!axes.has(name)) {
+        return next(new Error(`Variant ${variant.sku} uses unknown option "${name}"`));
+      }
+      const allowed = axes.get(name);
+      if (allowed.length > 0 && !allowed.includes(value)) {
+        return next(new Error(`Variant ${variant.sku} has invalid ${name} "${value}"`));
+      }
+    }
+
+    const combination = [...axes.keys()].map(name => variant.options?.get(name) || '').join('|');
+    if (combinations.has(combination)) {
+      return next(new Error(`More than one variant has the options of ${variant.sku}`));
+    }
+    combinations.add(combination);
+  }
+
+  this.stock = this.variants
+    .filter(variant => variant.isActive !== false)
+    .reduce((total, variant) => total + (variant.stock || 0), 0);
+  next();
+});
+
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId || !this.variants) return null;
+  return this.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+};
+
+// Option values a shopper can pick, flagging those with no variant in stock
+productSchema.methods.getAvailableOptions = function() {
+  const activeVariants = (this.variants || []).filter(variant => variant.isActive !== false);
+
+  return (this.options || []).map(option => ({
+    name: option.name,
+    values: option.values.map(value => ({
+      value,
+      available: activeVariants.some(variant => variant.options?.get(option.name) === value && variant.stock > 0)
+    }))
+  }));
+};
+
 // Calculate average rating when a review is added
 productSchema.methods.calculateAverageRating = function() {
   if (this.reviews.length === 0) {
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// One refund paid (or to be paid) against an order. An order can have
+// several, e.g. one per returned item.
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  // Empty when the order was a guest checkout
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  method: {
+    type: String,
+    enum: ['original_payment', 'bank_transfer', 'store_credit'],
+    required: [true, 'Refund method is required']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processed', 'failed'],
+    default: 'requested'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  bankDetails: {
+    accountName: String,
+    accountNumber: String,
+    bankName: String,
+    ifscCode: String,
+    upiId: String
+  },
+  // UTR or gateway reference of the payout
+  reference: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date,
+  history: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  collection: 'refunds',
+  timestamps: true
+});
+
+refundSchema.index({ order: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = ['damaged', 'wrong_item', 'size_issue', 'not_as_described', 'quality', 'changed_mind', 'other'];
+
+// A customer's return or exchange of delivered order lines (RMA)
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['return', 'exchange'],
+    required: [true, 'Request type is required']
+  },
+  items: [{
+    // _id of the line in order.items
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: [true, 'Return reason is required']
+    },
+    comment: {
+      type: String,
+      trim: true
+    },
+    // For exchanges: the variant wanted instead (defaults to the same one)
+    exchangeVariant: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }],
+  photos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'uploads.files'
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'pickup_scheduled', 'received', 'qc_failed', 'refund_initiated', 'refunded', 'replaced'],
+    default: 'requested'
+  },
+  history: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  pickup: {
+    scheduledFor: Date,
+    courierService: String,
+    trackingNumber: String
+  },
+  qc: {
+    result: {
+      type: String,
+      enum: ['passed', 'failed']
+    },
+    notes: String,
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkedAt: Date
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  replacementOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  collection: 'returnrequests',
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A storefront search that found nothing, counted per normalised query so
+// admins can see which missing products or spellings matter most
+const searchMissSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  // What we offered the shopper instead, if anything
+  didYouMean: String,
+  firstSearchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once an admin has dealt with it (added a synonym, a product, ...);
+  // a new miss for the same query opens it again
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+searchMissSchema.index({ query: 1 }, { unique: true });
+searchMissSchema.index({ reviewedAt: 1, count: -1 });
+
+const SearchMiss = mongoose.model('SearchMiss', searchMissSchema);
+
+export default SearchMiss;
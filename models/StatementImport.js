@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// One credit line from an imported bank statement and what became of it
+const statementRowSchema = new mongoose.Schema({
+  rowNumber: Number,
+  date: Date,
+  amount: Number,
+  utr: String,
+  narration: String,
+  status: {
+    type: String,
+    enum: ['matched', 'already_reconciled', 'unmatched', 'ambiguous', 'resolved', 'ignored'],
+    required: true
+  },
+  // Why the row needs review, or how it was settled
+  reason: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Orders that could plausibly be this payment
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+});
+
+// A bank statement CSV uploaded for UPI/bank transfer reconciliation
+const statementImportSchema = new mongoose.Schema({
+  fileName: String,
+  // SHA-256 of the file, so the same statement is not imported twice
+  checksum: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    alreadyReconciled: { type: Number, default: 0 },
+    review: { type: Number, default: 0 }
+  },
+  rows: [statementRowSchema]
+}, {
+  collection: 'statementimports',
+  timestamps: true
+});
+
+statementImportSchema.index({ 'rows.status': 1 });
+
+const StatementImport = mongoose.model('StatementImport', statementImportSchema);
+
+export default StatementImport;
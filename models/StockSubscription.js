@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A shopper asking to be told when a sold-out product (or one option of
+// it) is back. Subscribers are served first come, first served.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Empty means any option of the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set when the shopper was signed in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'cancelled'],
+    default: 'waiting'
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// FIFO queue per product/option, and one waiting request per email
+stockSubscriptionSchema.index({ product: 1, variant: 1, status: 1, createdAt: 1 });
+stockSubscriptionSchema.index(
+  { product: 1, variant: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+
+const StockSubscription = mongoose.model('StockSubscription', stockSubscriptionSchema);
+
+export default StockSubscription;
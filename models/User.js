@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Fine-grained admin permissions. An admin with none listed keeps full
+// access, as every admin had before permissions existed.
+export const ADMIN_PERMISSIONS = ['payments:verify', 'audit:read', 'users:manage'];
+
 const addressSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -68,6 +72,10 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  permissions: [{
+    type: String,
+    enum: ADMIN_PERMISSIONS
+  }],
   addresses: [addressSchema],
   bankDetails: {
     accountName: String,
@@ -76,6 +84,22 @@ const userSchema = new mongoose.Schema({
     ifscCode: String,
     upiId: String
   },
+  emailPreferences: {
+    cartReminders: {
+      type: Boolean,
+      default: true
+    },
+    wishlistAlerts: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Balance from refunds issued as store credit
+  storeCredit: {
+    type: Number,
+    min: [0, 'Store credit cannot be negative'],
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -122,6 +146,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasPermission = function(permission) {
+  if (this.role !== 'admin') return false;
+  return !this.permissions?.length || this.permissions.includes(permission);
+};
+
 // Method to mask phone number
 userSchema.methods.getMaskedPhone = function() {
   if (!this.phone) return '';
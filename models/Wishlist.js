@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Products a user has saved for later. Kept out of the User document so
+// "who is watching this product" is a simple indexed query.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Set when the shopper saved a specific option
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // What it sold for when saved, to show how much the price has dropped
+    priceWhenAdded: Number,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1 }, { unique: true });
+wishlistSchema.index({ 'items.product': 1 });
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
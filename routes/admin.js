@@ -9,6 +9,28 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { ObjectId, GridFSBucket } from 'mongodb';
 import mongoose from 'mongoose';
+import archiver from 'archiver';
+import Invoice from '../models/Invoice.js';
+import { parseVariantPayload } from '../utils/productVariants.js';
+import { openDownloadStream, fileExists } from '../utils/gridfs.js';
+import { findImagesInOrders } from '../utils/orderItems.js';
+import AuditLog from '../models/AuditLog.js';
+import SearchMiss from '../models/SearchMiss.js';
+import { requirePermission } from '../middleware/auth.js';
+import { HttpError, sendHttpError } from '../utils/httpError.js';
+import { recordAudit } from '../utils/audit.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+import { buildOrderLookup } from '../utils/orderNumbers.js';
+import {
+  submitPaymentProof,
+  verifyPaymentProof,
+  rejectPaymentProof,
+  notifyPaymentProofUpdate
+} from '../utils/manualPayments.js';
+import { captureWatchState, notifyWishlistWatchers } from '../utils/wishlist.js';
+import { notifyStockSubscribers, getRestockDemand } from '../utils/stockAlerts.js';
+import { loadCategoryIndex, describeProductCategory, resolveCategoryIds, assignProductCategory } from '../utils/categories.js';
+import { getCategoryAttributes, buildSpecifications } from '../utils/categoryAttributes.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -99,25 +121,106 @@ router.get('/dashboard', isAdmin, async (req, res) => {
   }
 });
 
-// Get all orders
+// Get all orders. `search` matches an order id, order number, tracking
+// number or the customer's name or email.
 router.get('/orders', isAdmin, async (req, res) => {
   try {
-    const orders = await Order.find()
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
-    res.json({ success: true, orders });
+    const list = parseListQuery(req.query, {
+      sorts: {
+        newest: [['createdAt', -1]],
+        oldest: [['createdAt', 1]],
+        total_desc: [['totalAmount', -1]],
+        total_asc: [['totalAmount', 1]]
+      },
+      filters: {
+        status: 'string',
+        paymentStatus: 'string',
+        paymentMethod: 'string',
+        user: 'objectId',
+        createdAt: 'date',
+        totalAmount: 'number'
+      }
+    });
+    const search = req.query.search?.trim();
+    let query = {};
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const customers = await User.find({
+        $or: [
+          { name: { $regex: escaped, $options: 'i' } },
+          { email: { $regex: escaped, $options: 'i' } }
+        ]
+      }).select('_id');
+      query = {
+        $or: [
+          buildOrderLookup(search),
+          { orderNumber: { $regex: `^${escaped}`, $options: 'i' } },
+          { user: { $in: customers.map(customer => customer._id) } }
+        ]
+      };
+    }
+
+    const result = await findList(Order, query, list, orders => orders.populate('user', 'name email'));
+    sendList(res, list, result, orders => ({ success: true, orders }));
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Error fetching orders' });
+    sendHttpError(res, error, 'Error fetching orders');
   }
 });
 
 // Get all products
 router.get('/products', isAdmin, async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json({ success: true, products });
+    const list = parseListQuery(req.query, {
+      sorts: {
+        newest: [['createdAt', -1]],
+        oldest: [['createdAt', 1]],
+        name: [['name', 1]],
+        price_asc: [['price', 1]],
+        price_desc: [['price', -1]],
+        stock_asc: [['stock', 1]]
+      },
+      filters: { isActive: 'boolean', stock: 'number', price: 'number' }
+    });
+    const query = {};
+    if (req.query.category) {
+      query.categoryPath = { $in: await resolveCategoryIds(req.query.category) };
+    }
+    const result = await findList(Product, query, list);
+
+    const demand = await getRestockDemand(result.data.map(product => product._id));
+    const waitingByProduct = new Map(demand.map(row => [row.product.toString(), row.waiting]));
+    const categoryIndex = await loadCategoryIndex();
+    sendList(res, list, {
+      ...result,
+      data: result.data.map(product => ({
+        ...product.toObject({ flattenMaps: true }),
+        ...describeProductCategory(categoryIndex, product),
+        restockWaiting: waitingByProduct.get(product._id.toString()) || 0
+      }))
+    }, products => ({ success: true, products }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching products');
+  }
+});
+
+// Shoppers waiting for a restock, most wanted products first
+router.get('/products/restock-demand', isAdmin, async (req, res) => {
+  try {
+    const demand = await getRestockDemand();
+    const products = await Product.find({ _id: { $in: demand.map(row => row.product) } })
+      .select('name stock variants.sku variants.stock');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    res.json({
+      success: true,
+      demand: demand.map(row => ({
+        ...row,
+        product: productsById.get(row.product.toString()) || { _id: row.product }
+      }))
+    });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Error fetching products' });
+    console.error('Error fetching restock demand:', error);
+    res.status(500).json({ success: false, message: 'Error fetching restock demand' });
   }
 });
 
@@ -128,7 +231,13 @@ router.get('/products/:id', isAdmin, async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
-    res.json({ success: true, product });
+    const [demand] = await getRestockDemand([product._id]);
+    const categoryIndex = await loadCategoryIndex();
+    res.json({
+      success: true,
+      product: { ...product.toObject({ flattenMaps: true }), ...describeProductCategory(categoryIndex, product) },
+      restockDemand: demand ? { waiting: demand.waiting, oldest: demand.oldest, variants: demand.variants } : { waiting: 0, variants: [] }
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error fetching product' });
   }
@@ -137,13 +246,34 @@ router.get('/products/:id', isAdmin, async (req, res) => {
 // Get all users
 router.get('/users', isAdmin, async (req, res) => {
   try {
-    const users = await User.find({ role: 'user' }).select('-password');
-    res.json({ users });
+    const list = parseListQuery(req.query, {
+      sorts: {
+        newest: [['createdAt', -1]],
+        oldest: [['createdAt', 1]],
+        name: [['name', 1]]
+      },
+      filters: { isActive: 'boolean', createdAt: 'date' }
+    });
+    const result = await findList(User, { role: 'user' }, list, users => users.select('-password'));
+    sendList(res, list, result, users => ({ users }));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching users' });
+    sendHttpError(res, error, 'Error fetching users');
   }
 });
 
+// Specifications arrive as a JSON string from the product form
+const parseSpecificationsInput = (value) => {
+  if (value === undefined || value === null || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // Reported below
+  }
+  throw new HttpError(400, 'Specifications must be a JSON object');
+};
+
 // Create product
 router.post('/products', isAdmin, upload.array('images', 5), async (req, res) => {
   try {
@@ -214,40 +344,31 @@ router.post('/products', isAdmin, upload.array('images', 5), async (req, res) =>
         throw new Error(`Failed to upload image: ${fileError.message}`);
       }
     }
-    const { name, description, price, originalPrice, discountPercentage, category, stock, deliveryCharges, deliveryChargesApplicable, specifications } = req.body;
+    const { name, description, price, originalPrice, discountPercentage, category, stock, deliveryCharges, deliveryChargesApplicable, specifications, sku } = req.body;
     if (!name || !description || !price || !category) {
       return res.status(400).json({ success: false, message: 'All required fields must be provided' });
     }
-    // Parse specifications from JSON string
-    let parsedSpecifications;
+    // Parse option axes and variants, if the product is sold in variants
+    let variantData;
     try {
-      parsedSpecifications = JSON.parse(specifications);
+      variantData = parseVariantPayload(req.body, { uploadedImageIds: imageIds });
     } catch (error) {
-      console.error('Error parsing specifications:', error);
-      parsedSpecifications = {
-        material: 'Not specified',
-        color: 'Not specified'
-      };
+      return res.status(400).json({ success: false, message: error.message });
     }
-    // Ensure specifications has required fields
-    const finalSpecifications = {
-      material: parsedSpecifications.material || 'Not specified',
-      color: parsedSpecifications.color || 'Not specified',
-      sareeType: parsedSpecifications.sareeType || 'Not specified',
-      occasion: parsedSpecifications.occasion || 'Not specified',
-      pattern: parsedSpecifications.pattern || 'Not specified'
-    };
-    
+    const parsedSpecifications = parseSpecificationsInput(specifications);
+
     // Prepare product data
     const productData = {
       name,
       description,
       price: parseFloat(price),
-      category,
       stock: parseInt(stock) || 0,
-      specifications: finalSpecifications,
-      images: imageIds
+      images: imageIds,
+      ...variantData
     };
+    if (sku) {
+      productData.sku = sku;
+    }
     
     // Add originalPrice and discountPercentage if provided
     if (originalPrice && parseFloat(originalPrice) > 0) {
@@ -269,7 +390,13 @@ router.post('/products', isAdmin, upload.array('images', 5), async (req, res) =>
     }
     
     const product = new Product(productData);
-    console.log('Creating product with specifications:', finalSpecifications);
+    const productCategory = await assignProductCategory(product, category);
+    // Checked against the category's attributes
+    product.specifications = buildSpecifications(
+      getCategoryAttributes(await loadCategoryIndex(), productCategory._id),
+      parsedSpecifications
+    );
+    console.log('Creating product with specifications:', product.specifications);
     const savedProduct = await product.save();
     res.status(201).json({
       success: true,
@@ -278,6 +405,9 @@ router.post('/products', isAdmin, upload.array('images', 5), async (req, res) =>
     });
   } catch (error) {
     console.error('Error creating product:', error);
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error, 'Error creating product');
+    }
     console.error('Error details:', {
       name: error.name,
       message: error.message,
@@ -303,6 +433,8 @@ router.put('/products/:id', isAdmin, upload.array('images', 5), async (req, res)
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
+    // Price and stock before the edit, for wishlist alerts
+    const watchState = captureWatchState(product);
 
     const db = mongoose.connection.db;
     if (!db) {
@@ -347,33 +479,31 @@ router.put('/products/:id', isAdmin, upload.array('images', 5), async (req, res)
         throw new Error(`Failed to upload image: ${fileError.message}`);
       }
     }
-    const { name, description, price, originalPrice, discountPercentage, category, stock, deliveryCharges, deliveryChargesApplicable, specifications } = req.body;
-    // Parse specifications from JSON string
-    let parsedSpecifications;
+    const { name, description, price, originalPrice, discountPercentage, category, stock, deliveryCharges, deliveryChargesApplicable, specifications, sku } = req.body;
+    // Parse option axes and variants, if sent
+    let variantData;
     try {
-      parsedSpecifications = JSON.parse(specifications);
+      variantData = parseVariantPayload(req.body, { uploadedImageIds: newImageIds });
     } catch (error) {
-      console.error('Error parsing specifications:', error);
-      parsedSpecifications = {
-        material: product.specifications?.material || 'Not specified',
-        color: product.specifications?.color || 'Not specified'
-      };
+      return res.status(400).json({ success: false, message: error.message });
     }
-    // Ensure specifications has required fields
-    const finalSpecifications = {
-      material: parsedSpecifications.material || product.specifications?.material || 'Not specified',
-      color: parsedSpecifications.color || product.specifications?.color || 'Not specified',
-      sareeType: parsedSpecifications.sareeType || product.specifications?.sareeType || 'Not specified',
-      occasion: parsedSpecifications.occasion || product.specifications?.occasion || 'Not specified',
-      pattern: parsedSpecifications.pattern || product.specifications?.pattern || 'Not specified'
-    };
+    const parsedSpecifications = parseSpecificationsInput(specifications);
     // Update product fields
     if (name) product.name = name;
     if (description) product.description = description;
     if (price) product.price = parseFloat(price);
-    if (category) product.category = category;
+    if (category) await assignProductCategory(product, category);
     if (stock !== undefined) product.stock = parseInt(stock) || 0;
-    product.specifications = finalSpecifications;
+    // Checked against the (possibly new) category's attributes; values not
+    // sent keep their current value
+    product.specifications = buildSpecifications(
+      getCategoryAttributes(await loadCategoryIndex(), product.category),
+      parsedSpecifications,
+      product.specifications
+    );
+    if (sku !== undefined) product.sku = sku || undefined;
+    if (variantData.options) product.options = variantData.options;
+    if (variantData.variants) product.variants = variantData.variants;
     
     // Update originalPrice and discountPercentage
     if (originalPrice !== undefined && originalPrice !== null && originalPrice !== '') {
@@ -407,11 +537,12 @@ router.put('/products/:id', isAdmin, upload.array('images', 5), async (req, res)
     
     // Replace images if new ones are uploaded
     if (newImageIds.length > 0) {
-      // Delete old images from GridFS
+      // Delete old images from GridFS, except those past orders still show
       if (oldImageIds.length > 0) {
+        const inOrders = await findImagesInOrders(oldImageIds);
         for (const oldImageId of oldImageIds) {
           try {
-            if (oldImageId && ObjectId.isValid(oldImageId)) {
+            if (oldImageId && ObjectId.isValid(oldImageId) && !inOrders.has(String(oldImageId))) {
               await bucket.delete(new ObjectId(oldImageId));
               console.log(`Deleted old image: ${oldImageId}`);
             }
@@ -425,15 +556,23 @@ router.put('/products/:id', isAdmin, upload.array('images', 5), async (req, res)
       product.images = newImageIds;
     }
     
-    console.log('Updating product with specifications:', finalSpecifications);
+    console.log('Updating product with specifications:', product.specifications);
     const updatedProduct = await product.save();
     res.json({
       success: true,
       message: 'Product updated successfully',
       product: updatedProduct
     });
+
+    notifyWishlistWatchers(watchState, updatedProduct)
+      .catch(error => console.error('Error sending wishlist alerts:', error));
+    notifyStockSubscribers([updatedProduct._id])
+      .catch(error => console.error('Error sending back-in-stock emails:', error));
   } catch (error) {
     console.error('Error updating product:', error);
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error, 'Error updating product');
+    }
     res.status(500).json({ success: false, message: error.message || 'Error updating product' });
   }
 });
@@ -445,9 +584,11 @@ router.delete('/products/:id', isAdmin, async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
-    // Delete product images from GridFS
+    // Delete product images from GridFS, except those past orders still show
     if (product.images && product.images.length > 0) {
+      const inOrders = await findImagesInOrders(product.images);
       for (const imageId of product.images) {
+        if (inOrders.has(String(imageId))) continue;
         try {
           const db = mongoose.connection.db;
           const bucket = new GridFSBucket(db, { bucketName: 'uploads' });
@@ -492,7 +633,10 @@ router.get('/images/:id', async (req, res) => {
     const _id = new ObjectId(req.params.id);
     
     const files = await db.collection('uploads.files').findOne({ _id });
-    if (!files) {
+    // Payment screenshots, invoices, return photos and other private
+    // uploads are never served here (including those stored before they
+    // were marked private)
+    if (!files || files.metadata?.private || files.metadata?.invoiceNumber || files.metadata?.purpose === 'return') {
       return res.status(404).json({ message: 'File not found' });
     }
 
@@ -516,38 +660,273 @@ router.get('/images/:id', async (req, res) => {
   }
 });
 
-// Save payment details for an order
-router.post('/orders/:orderId/payment-details', async (req, res) => {
+// Parse the `from`/`to` query dates; `to` covers the whole day
+const parseDateRange = (from, to) => {
+  // Plain dates are whole days in India, whatever the server's timezone
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const start = from ? new Date(isDay(from) ? `${from}T00:00:00.000+05:30` : from) : null;
+  const end = to ? new Date(isDay(to) ? `${to}T23:59:59.999+05:30` : to) : null;
+  if ((start && isNaN(start)) || (end && isNaN(end))) return null;
+  return { start, end };
+};
+
+// List issued invoices
+router.get('/invoices', isAdmin, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return res.status(400).json({ success: false, message: 'Invalid date range' });
+    }
+
+    const query = {};
+    if (range.start || range.end) {
+      query.issuedAt = {};
+      if (range.start) query.issuedAt.$gte = range.start;
+      if (range.end) query.issuedAt.$lte = range.end;
+    }
+
+    const list = parseListQuery(req.query, {
+      sorts: { newest: [['issuedAt', -1]], oldest: [['issuedAt', 1]] }
+    });
+    const result = await findList(Invoice, query, list, invoices => invoices
+      .populate('order', 'orderNumber trackingNumber totalAmount status createdAt'));
+    sendList(res, list, result, invoices => ({ success: true, invoices }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching invoices');
+  }
+});
+
+// Download a zip of the invoices already issued for orders placed in a date
+// range. Invoices are issued from the order pages, never by this download.
+router.get('/invoices/download', isAdmin, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query.from, req.query.to);
+    if (!range || !range.start || !range.end) {
+      return res.status(400).json({ success: false, message: 'Valid from and to dates are required' });
+    }
+
+    const orders = await Order.find({ createdAt: { $gte: range.start, $lte: range.end } }).select('_id');
+    const issued = await Invoice.find({ order: { $in: orders.map(order => order._id) } }).sort({ issuedAt: 1 });
+
+    const invoices = [];
+    for (const invoice of issued) {
+      if (await fileExists(invoice.file)) {
+        invoices.push(invoice);
+      } else {
+        console.warn(`Invoice ${invoice.invoiceNumber} has no stored PDF; open it from the order to render it again`);
+      }
+    }
+
+    if (invoices.length === 0) {
+      return res.status(404).json({ success: false, message: 'No invoices found for this date range' });
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="invoices_${req.query.from}_${req.query.to}.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', (err) => {
+      console.error('Error creating invoice archive:', err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+    for (const invoice of invoices) {
+      archive.append(openDownloadStream(invoice.file), { name: invoice.fileName });
+    }
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error downloading invoices:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message || 'Error downloading invoices' });
+    }
+  }
+});
+
+// Manual payments awaiting review, oldest first. Orders whose UTR is also
+// quoted elsewhere are flagged with `duplicateOf`.
+router.get('/payment-proofs', isAdmin, requirePermission('payments:verify'), async (req, res) => {
+  try {
+    const status = req.query.status || 'submitted';
+    const query = { 'paymentProof.status': status };
+    if (req.query.flagged === 'true') {
+      query['paymentProof.duplicateOf.0'] = { $exists: true };
+    }
+    const list = parseListQuery(req.query, {
+      sorts: {
+        oldest: [['paymentProof.submittedAt', 1]],
+        newest: [['paymentProof.submittedAt', -1]]
+      },
+      defaultSort: 'oldest',
+      filters: { paymentMethod: 'string' }
+    });
+    const result = await findList(Order, query, list, orders => orders
+      .select('orderNumber trackingNumber user totalAmount paymentMethod paymentStatus paymentProof status createdAt')
+      .populate('user', 'name email phone')
+      .populate('paymentProof.duplicateOf', 'orderNumber trackingNumber paymentStatus'));
+    sendList(res, list, result, orders => ({ success: true, orders }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching payment proofs');
+  }
+});
+
+// View the screenshot a customer attached to their payment proof
+router.get('/orders/:orderId/payment-proof/screenshot', isAdmin, requirePermission('payments:verify'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select('paymentProof');
+    if (!order?.paymentProof?.screenshot) {
+      return res.status(404).json({ message: 'No screenshot for this order' });
+    }
+
+    const file = await mongoose.connection.db.collection('uploads.files').findOne({ _id: order.paymentProof.screenshot });
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.set('Content-Type', file.contentType);
+    const downloadStream = openDownloadStream(file._id);
+    downloadStream.on('error', (err) => {
+      console.error('Screenshot download stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Error streaming file' });
+      }
+    });
+    downloadStream.pipe(res);
+  } catch (error) {
+    console.error('Error serving payment screenshot:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error serving payment screenshot' });
+    }
+  }
+});
+
+// Record a payment reported to the team directly (phone, WhatsApp) as a
+// proof awaiting verification
+router.post('/orders/:orderId/payment-details', isAdmin, requirePermission('payments:verify'), async (req, res) => {
   try {
-    const { paymentDate, amount, transactionId } = req.body;
     const order = await Order.findById(req.params.orderId);
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    order.paymentDetails = {
-      paymentDate,
-      amount,
-      transactionId,
-      verified: false
-    };
-    await order.save();
+    await submitPaymentProof(order, { utr: req.body.transactionId || req.body.utr });
+    await recordAudit({
+      req,
+      action: 'payment.proof_recorded',
+      entityType: 'Order',
+      entityId: order._id,
+      details: { utr: order.paymentProof.utr, duplicateOf: order.paymentProof.duplicateOf }
+    });
+
     res.json({ success: true, order });
   } catch (error) {
-    res.status(500).json({ message: 'Error saving payment details' });
+    console.error('Error saving payment details:', error);
+    sendHttpError(res, error, 'Error saving payment details');
   }
 });
 
-// Admin verifies payment
-router.post('/orders/:orderId/verify-payment', async (req, res) => {
+// Admin verifies a submitted payment. Pass `allowDuplicate` to accept a UTR
+// that is also quoted on another order.
+router.post('/orders/:orderId/verify-payment', isAdmin, requirePermission('payments:verify'), async (req, res) => {
   try {
-    const order = await Order.findById(req.params.orderId);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const order = await verifyPaymentProof(req.params.orderId, {
+      req,
+      note: req.body.note,
+      allowDuplicate: req.body.allowDuplicate === true
+    });
+    await notifyPaymentProofUpdate(order);
 
-    order.paymentDetails.verified = true;
-    order.status = 'processing'; // or 'confirmed'
-    await order.save();
     res.json({ success: true, order });
   } catch (error) {
-    res.status(500).json({ message: 'Error verifying payment' });
+    console.error('Error verifying payment:', error);
+    sendHttpError(res, error, 'Error verifying payment');
+  }
+});
+
+// Admin rejects a submitted payment with a reason shown to the customer
+router.post('/orders/:orderId/reject-payment', isAdmin, requirePermission('payments:verify'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'A rejection reason is required' });
+    }
+
+    const order = await rejectPaymentProof(req.params.orderId, { req, reason });
+    await notifyPaymentProofUpdate(order);
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Error rejecting payment:', error);
+    sendHttpError(res, error, 'Error rejecting payment');
+  }
+});
+
+// Storefront searches that found nothing, most frequent first. Reviewed
+// ones are hidden unless `includeReviewed=true`.
+router.get('/search-misses', isAdmin, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sorts: {
+        frequent: [['count', -1], ['lastSearchedAt', -1]],
+        recent: [['lastSearchedAt', -1]]
+      },
+      defaultSort: 'frequent',
+      defaultLimit: 50,
+      maxLimit: 200,
+      paginateByDefault: true
+    });
+    const query = req.query.includeReviewed === 'true' ? {} : { reviewedAt: { $exists: false } };
+    const result = await findList(SearchMiss, query, list);
+    sendList(res, list, result, misses => ({ success: true, misses }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching search misses');
+  }
+});
+
+// Mark a search miss as dealt with
+router.put('/search-misses/:id/review', isAdmin, async (req, res) => {
+  try {
+    const miss = await SearchMiss.findByIdAndUpdate(
+      req.params.id,
+      { $set: { reviewedAt: new Date(), reviewedBy: req.user._id } },
+      { new: true }
+    );
+    if (!miss) {
+      return res.status(404).json({ success: false, message: 'Search miss not found' });
+    }
+    res.json({ success: true, miss });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error updating search miss' });
+  }
+});
+
+// Audit trail, newest first, filterable by entity, action or admin
+router.get('/audit-logs', isAdmin, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.entityId && mongoose.Types.ObjectId.isValid(req.query.entityId)) {
+      query.entityId = req.query.entityId;
+    }
+    if (req.query.actor && mongoose.Types.ObjectId.isValid(req.query.actor)) {
+      query.actor = req.query.actor;
+    }
+
+    const list = parseListQuery(req.query, {
+      sorts: { newest: [['createdAt', -1]], oldest: [['createdAt', 1]] },
+      filters: { entityType: 'string', action: 'string', createdAt: 'date' },
+      defaultLimit: 50,
+      maxLimit: 200,
+      paginateByDefault: true
+    });
+    const result = await findList(AuditLog, query, list, logs => logs.populate('actor', 'name email'));
+    sendList(res, list, result, logs => ({ success: true, logs }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching audit logs');
   }
 });
 
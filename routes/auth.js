@@ -1,8 +1,11 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import User, { ADMIN_PERMISSIONS } from '../models/User.js';
 import { sendEmail, emailTemplates } from '../utils/emailService.js';
-import { adminAuth } from '../middleware/auth.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { getGuestCartId, mergeGuestCart } from '../utils/cart.js';
+import { countClaimableOrders } from '../utils/guestOrders.js';
 import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
 
@@ -80,6 +83,10 @@ router.post('/register', [
 
     await user.save();
 
+    // Guest orders placed with this email can be claimed once the address
+    // is confirmed (POST /api/orders/claim/request)
+    const guestOrders = await countClaimableOrders(user.email);
+
     // Generate token
     const token = jwt.sign(
       { id: user._id, role: user.role },
@@ -96,7 +103,8 @@ router.post('/register', [
           name: user.name,
           email: user.email,
           role: user.role
-        }
+        },
+        guestOrders
       }
     });
   } catch (error) {
@@ -155,6 +163,16 @@ router.post('/login', [
       { expiresIn: '30d' }
     );
 
+    // Carry over whatever the shopper put in their cart as a guest
+    const guestCartId = req.body.cartId || getGuestCartId(req);
+    if (guestCartId) {
+      try {
+        await mergeGuestCart(user._id, guestCartId);
+      } catch (cartError) {
+        console.error('Error merging guest cart on login:', cartError);
+      }
+    }
+
     res.json({
       success: true,
       data: {
@@ -208,8 +226,58 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Set an admin's permissions; an empty list means full access (admin only)
+router.put('/users/:id/permissions', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions) || permissions.some(permission => !ADMIN_PERMISSIONS.includes(permission))) {
+      return res.status(400).json({ message: `Permissions must be a list of: ${ADMIN_PERMISSIONS.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.role !== 'admin') {
+      return res.status(400).json({ message: 'Permissions only apply to admins' });
+    }
+
+    // Prevent locking yourself out of permission management
+    if (user._id.toString() === req.user._id.toString() && permissions.length && !permissions.includes('users:manage')) {
+      return res.status(400).json({ message: 'Cannot remove your own users:manage permission' });
+    }
+
+    const previous = [...user.permissions];
+    user.permissions = [...new Set(permissions)];
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: 'user.permissions_updated',
+      entityType: 'User',
+      entityId: user._id,
+      details: { previous, permissions: user.permissions }
+    });
+
+    res.json({
+      message: 'Permissions updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Permission update error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Update user role (admin only)
-router.put('/users/:id/role', adminAuth, async (req, res) => {
+router.put('/users/:id/role', adminAuth, requirePermission('users:manage'), async (req, res) => {
   try {
     const { role } = req.body;
     const { id } = req.params;
@@ -230,9 +298,18 @@ router.put('/users/:id/role', adminAuth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot demote yourself from admin role' });
     }
 
+    const previousRole = user.role;
     user.role = role;
     await user.save();
 
+    await recordAudit({
+      req,
+      action: 'user.role_updated',
+      entityType: 'User',
+      entityId: user._id,
+      details: { previous: previousRole, role }
+    });
+
     res.json({
       message: 'User role updated successfully',
       user: {
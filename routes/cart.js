@@ -0,0 +1,206 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import { auth, adminAuth, optionalAuth } from '../middleware/auth.js';
+import { sendHttpError } from '../utils/httpError.js';
+import {
+  getGuestCartId,
+  loadCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart,
+  priceCart
+} from '../utils/cart.js';
+
+const router = express.Router();
+
+// Unsubscribe links in cart reminders sent before it moved to the users API
+router.get('/reminders/unsubscribe', (req, res) => {
+  res.redirect(301, `/api/users/unsubscribe?token=${encodeURIComponent(req.query.token || '')}`);
+});
+
+// Reminder performance over the last `days` (default 30): emails sent,
+// carts converted and the revenue credited to reminders
+router.get('/reminders/stats', adminAuth, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [reminders] = await Cart.aggregate([
+      { $unwind: '$reminders' },
+      { $match: { 'reminders.sentAt': { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          sent: { $sum: 1 },
+          withCoupon: { $sum: { $cond: [{ $ifNull: ['$reminders.coupon', false] }, 1, 0] } },
+          converted: { $sum: { $cond: [{ $ifNull: ['$reminders.convertedOrder', false] }, 1, 0] } }
+        }
+      }
+    ]);
+    const [orders] = await Order.aggregate([
+      { $match: { 'attribution.source': 'cart_reminder', createdAt: { $gte: since }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: null, orders: { $sum: 1 }, revenue: { $sum: '$totalAmount' } } }
+    ]);
+
+    const sent = reminders?.sent || 0;
+    const converted = reminders?.converted || 0;
+    res.json({
+      success: true,
+      stats: {
+        days,
+        sent,
+        withCoupon: reminders?.withCoupon || 0,
+        converted,
+        conversionRate: sent > 0 ? Math.round(converted / sent * 10000) / 100 : 0,
+        orders: orders?.orders || 0,
+        revenue: orders?.revenue || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching cart reminder stats:', error);
+    res.status(500).json({ success: false, message: 'Error fetching cart reminder stats' });
+  }
+});
+
+// Signed-in shoppers use their account cart; guests send X-Cart-Id
+router.use(optionalAuth);
+
+// Get the cart, priced and checked against current stock
+router.get('/', async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    res.json({ success: true, cart: await priceCart(cart) });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    sendHttpError(res, error, 'Error fetching cart');
+  }
+});
+
+// Add a product (or more of one already in the cart). Guests without a
+// cart get one; its id comes back as cart.cartId.
+router.post('/items', [
+  body('productId')
+    .isMongoId()
+    .withMessage('A valid product ID is required'),
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be valid'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await loadCart(req, { create: true });
+    await addCartItem(cart, {
+      productId: req.body.productId,
+      variantId: req.body.variantId,
+      quantity: parseInt(req.body.quantity) || 1
+    });
+
+    res.json({ success: true, message: 'Added to cart', cart: await priceCart(cart) });
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    sendHttpError(res, error, 'Error adding to cart');
+  }
+});
+
+// Change a line's quantity; 0 removes the line
+router.put('/items/:itemId', [
+  body('quantity')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Quantity must be between 0 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      return res.status(400).json({ success: false, message: 'Invalid cart item ID' });
+    }
+
+    const cart = await loadCart(req);
+    if (!cart) {
+      return res.status(404).json({ success: false, message: 'Cart not found' });
+    }
+
+    await updateCartItem(cart, req.params.itemId, parseInt(req.body.quantity));
+    res.json({ success: true, cart: await priceCart(cart) });
+  } catch (error) {
+    console.error('Error updating cart:', error);
+    sendHttpError(res, error, 'Error updating cart');
+  }
+});
+
+// Remove a line
+router.delete('/items/:itemId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      return res.status(400).json({ success: false, message: 'Invalid cart item ID' });
+    }
+
+    const cart = await loadCart(req);
+    if (!cart) {
+      return res.status(404).json({ success: false, message: 'Cart not found' });
+    }
+
+    await removeCartItem(cart, req.params.itemId);
+    res.json({ success: true, message: 'Removed from cart', cart: await priceCart(cart) });
+  } catch (error) {
+    console.error('Error removing from cart:', error);
+    sendHttpError(res, error, 'Error removing from cart');
+  }
+});
+
+// Empty the cart
+router.delete('/', async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    if (cart) {
+      await clearCart(cart);
+    }
+    res.json({ success: true, message: 'Cart cleared', cart: await priceCart(cart) });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    sendHttpError(res, error, 'Error clearing cart');
+  }
+});
+
+// After signing in, fold the guest cart (X-Cart-Id or body.cartId) into the
+// account cart
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const guestId = req.body.cartId || getGuestCartId(req);
+    if (!guestId) {
+      return res.status(400).json({ success: false, message: 'Guest cart ID is required' });
+    }
+
+    const { cart, merged } = await mergeGuestCart(req.user._id, guestId);
+    res.json({ success: true, merged, cart: await priceCart(cart) });
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    sendHttpError(res, error, 'Error merging cart');
+  }
+});
+
+export default router;
@@ -0,0 +1,230 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { body, validationResult } from 'express-validator';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import { adminAuth } from '../middleware/auth.js';
+import { HttpError, sendHttpError } from '../utils/httpError.js';
+import { uploadFile } from '../utils/gridfs.js';
+import { CATEGORY_TAX_RULES } from '../utils/tax.js';
+import {
+  loadCategoryIndex,
+  findCategory,
+  getBreadcrumbs,
+  buildCategoryTree,
+  saveCategory,
+  deleteCategory
+} from '../utils/categories.js';
+import { getCategoryAttributes } from '../utils/categoryAttributes.js';
+
+const router = express.Router();
+
+const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const upload = multer({
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Only ${allowedMimeTypes.join(', ')} are allowed.`), false);
+    }
+  }
+});
+
+// Fields an admin may set on a category
+const categoryFields = ['name', 'slug', 'parent', 'description', 'image', 'seo', 'sortOrder', 'taxClass', 'attributes', 'isActive'];
+
+const pickCategoryFields = (source) => categoryFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const categoryValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,100}$/)
+    .withMessage('Slug must be 2-100 letters, numbers or dashes'),
+  body('parent')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .withMessage('Parent must be a category ID or slug'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be a whole number')
+    .toInt(),
+  body('taxClass')
+    .optional()
+    .isIn(Object.keys(CATEGORY_TAX_RULES))
+    .withMessage(`Tax class must be one of: ${Object.keys(CATEGORY_TAX_RULES).join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Category input from the body, with an uploaded image stored in GridFS.
+// Multipart requests send `attributes` as a JSON string.
+const readCategoryInput = async (req) => {
+  const input = pickCategoryFields(req.body);
+  if (input.parent === '') input.parent = null;
+  if (typeof input.attributes === 'string') {
+    try {
+      input.attributes = JSON.parse(input.attributes);
+    } catch (error) {
+      throw new HttpError(400, 'Attributes must be valid JSON');
+    }
+  }
+  if (req.file) {
+    input.image = (await uploadFile(req.file, { metadata: { kind: 'category' } })).toString();
+  }
+  return input;
+};
+
+// Category tree for the storefront menu, active categories only
+router.get('/', async (req, res) => {
+  try {
+    const { categories } = await loadCategoryIndex();
+    const active = categories.filter(category => category.isActive !== false);
+    const activeIds = new Set(active.map(category => category._id.toString()));
+
+    // A hidden category hides everything below it
+    const visible = active.filter(category => category.ancestors.every(id => activeIds.has(id.toString())));
+    res.json({ success: true, categories: buildCategoryTree(visible) });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ success: false, message: 'Error fetching categories' });
+  }
+});
+
+// Every category with its product count (admin only)
+router.get('/admin/all', adminAuth, async (req, res) => {
+  try {
+    const { categories } = await loadCategoryIndex();
+    const counts = await Product.aggregate([
+      { $group: { _id: '$category', products: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(row => [String(row._id), row.products]));
+
+    res.json({
+      success: true,
+      categories: buildCategoryTree(categories.map(category => ({
+        ...category,
+        productCount: countById.get(category._id.toString()) || 0
+      })))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ success: false, message: 'Error fetching categories' });
+  }
+});
+
+// One category by slug (or id) with its breadcrumbs, subcategories and the
+// attributes its products carry (inherited ones included). Its products are
+// at /api/products/category/:slug.
+router.get('/:slug', async (req, res) => {
+  try {
+    const index = await loadCategoryIndex();
+    const category = findCategory(index, req.params.slug);
+    if (!category || category.isActive === false) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    res.json({
+      success: true,
+      category: {
+        ...category,
+        breadcrumbs: getBreadcrumbs(index, category._id),
+        attributes: getCategoryAttributes(index, category._id),
+        children: index.categories.filter(child =>
+          child.parent?.equals(category._id) && child.isActive !== false
+        )
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ success: false, message: 'Error fetching category' });
+  }
+});
+
+// Create category (admin only)
+router.post('/', adminAuth, upload.single('image'), [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  ...categoryValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const input = await readCategoryInput(req);
+    const category = await saveCategory(new Category(), { parent: null, ...input });
+    res.status(201).json({ success: true, message: 'Category created successfully', category });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A category with this slug already exists' });
+    }
+    sendHttpError(res, error, 'Error creating category');
+  }
+});
+
+// Update category (admin only). Changing `parent` moves the whole branch.
+router.put('/:id', adminAuth, upload.single('image'), categoryValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid category ID' });
+    }
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    await saveCategory(category, await readCategoryInput(req));
+    res.json({ success: true, message: 'Category updated successfully', category });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A category with this slug already exists' });
+    }
+    sendHttpError(res, error, 'Error updating category');
+  }
+});
+
+// Delete an empty category (admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid category ID' });
+    }
+    await deleteCategory(req.params.id);
+    res.json({ success: true, message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    sendHttpError(res, error, 'Error deleting category');
+  }
+});
+
+export default router;
@@ -0,0 +1,248 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { body, validationResult } from 'express-validator';
+import Collection from '../models/Collection.js';
+import { adminAuth } from '../middleware/auth.js';
+import { HttpError, sendHttpError } from '../utils/httpError.js';
+import { uploadFile } from '../utils/gridfs.js';
+import { resolveCategoryIds, loadCategoryIndex, describeProductCategory } from '../utils/categories.js';
+import { parseListQuery, sendList } from '../utils/listQuery.js';
+import {
+  COLLECTION_SORTS,
+  isCollectionLive,
+  liveCollectionsQuery,
+  findCollectionProducts,
+  prepareCollection
+} from '../utils/collections.js';
+
+const router = express.Router();
+
+const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const upload = multer({
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Only ${allowedMimeTypes.join(', ')} are allowed.`), false);
+    }
+  }
+});
+
+// Fields an admin may set on a collection
+const collectionFields = [
+  'name', 'slug', 'description', 'image', 'seo', 'type', 'products', 'rules',
+  'defaultSort', 'sortOrder', 'isActive', 'startsAt', 'endsAt'
+];
+
+const pickCollectionFields = (source) => collectionFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const collectionValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,100}$/)
+    .withMessage('Slug must be 2-100 letters, numbers or dashes'),
+  body('type')
+    .optional()
+    .isIn(['manual', 'rule'])
+    .withMessage('Type must be manual or rule'),
+  body('products')
+    .optional()
+    .isArray()
+    .withMessage('Products must be an array of product IDs'),
+  body('products.*')
+    .isMongoId()
+    .withMessage('Products must be an array of product IDs'),
+  body('rules.minPrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a positive number'),
+  body('rules.maxPrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a positive number'),
+  body('rules.newWithinDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('New within days must be a whole number of days'),
+  body('defaultSort')
+    .optional()
+    .isIn(['featured', ...Object.keys(COLLECTION_SORTS)])
+    .withMessage(`Default sort must be one of: featured, ${Object.keys(COLLECTION_SORTS).join(', ')}`),
+  body('startsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Collection input from the body. Rule categories may be given as slugs;
+// an uploaded image is stored in GridFS.
+const readCollectionInput = async (req) => {
+  const input = pickCollectionFields(req.body);
+  if (input.rules?.categories) {
+    const requested = [].concat(input.rules.categories);
+    const categories = await resolveCategoryIds(requested);
+    if (categories.length !== requested.length) {
+      throw new HttpError(400, 'One or more rule categories were not found');
+    }
+    input.rules = { ...input.rules, categories };
+  }
+  if (req.file) {
+    input.image = (await uploadFile(req.file, { metadata: { kind: 'collection' } })).toString();
+  }
+  return input;
+};
+
+// Live collections for the storefront
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.find(liveCollectionsQuery())
+      .select('-products -rules')
+      .sort({ sortOrder: 1, name: 1 });
+    res.json({ success: true, collections });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ success: false, message: 'Error fetching collections' });
+  }
+});
+
+// Every collection, including inactive and scheduled ones (admin only)
+router.get('/admin/all', adminAuth, async (req, res) => {
+  try {
+    const collections = await Collection.find().sort({ sortOrder: 1, name: 1 });
+    res.json({ success: true, collections });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ success: false, message: 'Error fetching collections' });
+  }
+});
+
+// A collection page: the collection and a page of its products
+router.get('/:slug', async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ slug: String(req.params.slug).toLowerCase() });
+    if (!collection || !isCollectionLive(collection)) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const sorts = collection.type === 'manual' ? { featured: [], ...COLLECTION_SORTS } : COLLECTION_SORTS;
+    const defaultSort = sorts[collection.defaultSort] ? collection.defaultSort : 'newest';
+    const list = parseListQuery(req.query, { sorts, defaultSort, paginateByDefault: true });
+    const result = await findCollectionProducts(collection, list);
+
+    const index = await loadCategoryIndex();
+    const products = result.data.map(product => ({
+      ...product.toObject({ flattenMaps: true }),
+      ...describeProductCategory(index, product),
+      reviews: undefined
+    }));
+
+    const details = collection.toObject({ flattenMaps: true });
+    delete details.products;
+    sendList(
+      res,
+      list,
+      { ...result, data: products },
+      (data, pageInfo) => ({ success: true, collection: details, products: data, pageInfo }),
+      { collection: details }
+    );
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    sendHttpError(res, error, 'Error fetching collection');
+  }
+});
+
+// Create collection (admin only)
+router.post('/', adminAuth, upload.single('image'), [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('type')
+    .notEmpty()
+    .withMessage('Type is required'),
+  ...collectionValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = await prepareCollection(new Collection(), await readCollectionInput(req));
+    await collection.save();
+    res.status(201).json({ success: true, message: 'Collection created successfully', collection });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A collection with this slug already exists' });
+    }
+    sendHttpError(res, error, 'Error creating collection');
+  }
+});
+
+// Update collection (admin only)
+router.put('/:id', adminAuth, upload.single('image'), collectionValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid collection ID' });
+    }
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    await prepareCollection(collection, await readCollectionInput(req));
+    await collection.save();
+    res.json({ success: true, message: 'Collection updated successfully', collection });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A collection with this slug already exists' });
+    }
+    sendHttpError(res, error, 'Error updating collection');
+  }
+});
+
+// Delete collection (admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid collection ID' });
+    }
+    const collection = await Collection.findByIdAndDelete(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    res.json({ success: true, message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ success: false, message: 'Error deleting collection' });
+  }
+});
+
+export default router;
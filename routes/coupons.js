@@ -0,0 +1,222 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Coupon from '../models/Coupon.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+import { buildOrderQuote, serializeQuote } from '../utils/orderPricing.js';
+import { applyPromotions } from '../utils/promotions.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+// Fields an admin may set on a coupon
+const couponFields = [
+  'code', 'name', 'description', 'type', 'value', 'maxDiscount', 'bogo',
+  'isAutomatic', 'minCartValue', 'minQuantity', 'appliesTo', 'startsAt',
+  'endsAt', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const pickCouponFields = (source) => couponFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const couponValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('code')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+  body('type')
+    .optional()
+    .isIn(['percentage', 'flat', 'free_shipping', 'bogo'])
+    .withMessage('Type must be percentage, flat, free_shipping or bogo'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body('startsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+// Check a coupon code against the current cart (cart page)
+router.post('/validate', auth, [
+  body('couponCode')
+    .isString()
+    .withMessage('Coupon code is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await applyPromotions(await buildOrderQuote(req.body.items), {
+      couponCode: req.body.couponCode,
+      userId: req.user._id
+    });
+    const discount = quote.discounts.find(item => item.code === quote.couponCode);
+
+    res.json({
+      success: true,
+      valid: true,
+      message: `Coupon applied: you save ₹${discount.amount.toLocaleString()}`,
+      discount,
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    sendHttpError(res, error, 'Error validating coupon');
+  }
+});
+
+// Get all coupons and promotions (admin only)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sorts: { newest: [['createdAt', -1]], oldest: [['createdAt', 1]] },
+      filters: { isActive: 'boolean', isAutomatic: 'boolean', type: 'string', createdAt: 'date' }
+    });
+    const result = await findList(Coupon, {}, list);
+    sendList(res, list, result, coupons => ({ success: true, coupons }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching coupons');
+  }
+});
+
+// Get single coupon (admin only)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+    res.json({ success: true, coupon });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching coupon' });
+  }
+});
+
+// Create coupon (admin only)
+router.post('/', adminAuth, [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('type')
+    .notEmpty()
+    .withMessage('Type is required'),
+  ...couponValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+    await coupon.save();
+
+    res.status(201).json({ success: true, message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    res.status(400).json({ success: false, message: error.message || 'Error creating coupon' });
+  }
+});
+
+// Update coupon (admin only)
+router.put('/:id', adminAuth, couponValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({ success: true, message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    res.status(400).json({ success: false, message: error.message || 'Error updating coupon' });
+  }
+});
+
+// Delete coupon (admin only). Coupons already used on orders are only
+// deactivated so the orders keep their reference.
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ success: true, message: 'Coupon has been used, so it was deactivated instead' });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ success: false, message: error.message || 'Error deleting coupon' });
+  }
+});
+
+export default router;
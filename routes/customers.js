@@ -2,46 +2,60 @@ import express from 'express';
 import User from '../models/User.js';
 import { adminAuth } from '../middleware/auth.js';
 import Order from '../models/Order.js';
+import { buildOrderLookup } from '../utils/orderNumbers.js';
+import { presentOrder } from '../utils/orderItems.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+import { sendHttpError } from '../utils/httpError.js';
 
 const router = express.Router();
 
 // Get all customers (admin only)
 router.get('/', adminAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '' } = req.query;
-    const skip = (page - 1) * limit;
+    const { search = '' } = req.query;
+    const list = parseListQuery(req.query, {
+      sorts: {
+        newest: [['createdAt', -1]],
+        oldest: [['createdAt', 1]],
+        name: [['name', 1]]
+      },
+      filters: { isActive: 'boolean', createdAt: 'date' },
+      defaultLimit: 10,
+      paginateByDefault: true
+    });
+
+    // A search for an order number, tracking number or order id finds the
+    // customer who placed it
+    const orderOwners = search
+      ? await Order.find(buildOrderLookup(search)).select('user')
+      : [];
 
     const query = {
       role: 'user',
       $or: [
         { name: { $regex: search, $options: 'i' } },
         { email: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
+        { phone: { $regex: search, $options: 'i' } },
+        { _id: { $in: orderOwners.map(order => order.user) } }
       ]
     };
 
-    const customers = await User.find(query)
-      .select('-password')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-
-    const total = await User.countDocuments(query);
+    const result = await findList(User, query, list, customers => customers.select('-password'));
 
     // Mask phone numbers for non-admin users
-    const maskedCustomers = customers.map(customer => ({
+    const maskedCustomers = result.data.map(customer => ({
       ...customer.toObject(),
       phone: customer.getMaskedPhone()
     }));
 
-    res.json({
-      customers: maskedCustomers,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      total
-    });
+    sendList(res, list, { ...result, data: maskedCustomers }, (customers, pageInfo) => ({
+      customers,
+      totalPages: pageInfo.totalPages,
+      currentPage: pageInfo.page,
+      total: pageInfo.total
+    }));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendHttpError(res, error, 'Error fetching customers');
   }
 });
 
@@ -82,13 +96,16 @@ router.put('/:id/status', adminAuth, async (req, res) => {
 // Get customer orders (admin only)
 router.get('/:id/orders', adminAuth, async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.params.id })
-      .populate('items.product', 'name price images')
-      .sort({ createdAt: -1 });
+    const list = parseListQuery(req.query, {
+      sorts: { newest: [['createdAt', -1]], oldest: [['createdAt', 1]] },
+      filters: { status: 'string', paymentStatus: 'string', createdAt: 'date' }
+    });
+    const result = await findList(Order, { user: req.params.id }, list, orders => orders
+      .populate('items.product', 'name images specifications'));
 
-    res.json(orders);
+    sendList(res, list, { ...result, data: result.data.map(presentOrder) }, orders => orders);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendHttpError(res, error, 'Error fetching customer orders');
   }
 });
 
@@ -1,15 +1,60 @@
 import express from 'express';
+import multer from 'multer';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, adminAuth, orderAccess } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 import { sendEmail, emailTemplates } from '../utils/emailService.js';
 import { body, validationResult } from 'express-validator';
+import { buildOrderQuote, findPriceMismatches, serializeQuote } from '../utils/orderPricing.js';
+import { HttpError, sendHttpError } from '../utils/httpError.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+import { runInTransaction, reserveStock, restoreStock } from '../utils/inventory.js';
+import { notifyStockSubscribers } from '../utils/stockAlerts.js';
+import { applyPromotions, redeemPromotions, releasePromotions } from '../utils/promotions.js';
+import { applyTax } from '../utils/tax.js';
+import { issueInvoice } from '../utils/invoice.js';
+import { transitionOrder, getStatusTimeline } from '../utils/orderStatus.js';
+import { openDownloadStream, uploadFile } from '../utils/gridfs.js';
+import { createRefund, notifyRefundUpdate } from '../utils/refunds.js';
+import { isValidUtr, submitPaymentProof } from '../utils/manualPayments.js';
+import { generateOrderNumber, getOrderReference, buildOrderLookup } from '../utils/orderNumbers.js';
+import { presentOrder } from '../utils/orderItems.js';
+import Cart from '../models/Cart.js';
+import { cartToOrderItems, getGuestCartId } from '../utils/cart.js';
+import { findAttributableReminder } from '../utils/abandonedCarts.js';
+import {
+  normalizeEmail,
+  issueGuestOrderToken,
+  ownsOrder,
+  getOrderContact,
+  requestGuestOrderLookup,
+  verifyGuestOrderLookup,
+  requestGuestOrderClaim,
+  claimGuestOrders
+} from '../utils/guestOrders.js';
 
 
 const router = express.Router();
 
+// Payment screenshots: one image, up to 5MB
+const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const upload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Only ${allowedMimeTypes.join(', ')} are allowed.`), false);
+    }
+  }
+});
+
 // Middleware to verify token
 const verifyToken = async (req, res, next) => {
   try {
@@ -35,6 +80,16 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+const orderListOptions = {
+  sorts: {
+    newest: [['createdAt', -1]],
+    oldest: [['createdAt', 1]],
+    total_desc: [['totalAmount', -1]],
+    total_asc: [['totalAmount', 1]]
+  },
+  filters: { status: 'string', paymentStatus: 'string', paymentMethod: 'string', createdAt: 'date' }
+};
+
 // Get all orders (admin only)
 router.get('/', verifyToken, async (req, res) => {
   try {
@@ -42,35 +97,35 @@ router.get('/', verifyToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const orders = await Order.find()
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
-    res.json(orders);
+    const list = parseListQuery(req.query, orderListOptions);
+    const result = await findList(Order, {}, list, orders => orders.populate('user', 'name email'));
+    sendList(res, list, result, orders => orders);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching orders' });
+    sendHttpError(res, error, 'Error fetching orders');
   }
 });
 
 // Get user's orders
 router.get('/my-orders', verifyToken, async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user.id })
+    const list = parseListQuery(req.query, orderListOptions);
+    const result = await findList(Order, { user: req.user.id }, list, orders => orders
       .populate({
         path: 'items.product',
         select: 'name price images specifications'
-      })
-      .sort({ createdAt: -1 });
-    res.json(orders);
+      }));
+    sendList(res, list, { ...result, data: result.data.map(presentOrder) }, orders => orders);
   } catch (error) {
     console.error('Error fetching orders:', error);
-    res.status(500).json({ message: 'Error fetching orders' });
+    sendHttpError(res, error, 'Error fetching orders');
   }
 });
 
-// Get single order
-router.get('/:id', verifyToken, async (req, res) => {
+// Get single order by id, order number (PS-2026-000123) or tracking number.
+// Guests can use the token from checkout or the order lookup.
+router.get('/:id', orderAccess, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
+    const order = await Order.findOne(buildOrderLookup(req.params.id))
       .populate('user', 'name email')
       .populate({
         path: 'items.product',
@@ -82,27 +137,107 @@ router.get('/:id', verifyToken, async (req, res) => {
     }
 
     // Check if user is authorized to view this order
-    const orderUserId = order.user._id ? order.user._id.toString() : order.user.toString();
-    if (orderUserId !== req.user.id && req.user.role !== 'admin') {
+    if (!ownsOrder(req, order) && req.user?.role !== 'admin') {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json(order);
+    res.json({ ...presentOrder(order), timeline: getStatusTimeline(order) });
   } catch (error) {
     console.error('Error fetching order:', error);
     res.status(500).json({ message: 'Error fetching order' });
   }
 });
 
-// Create new order
-router.post('/', verifyToken, [
+// Download the GST invoice for an order
+router.get('/:id/invoice', orderAccess, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate({
+        path: 'items.product',
+        select: 'name'
+      });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!ownsOrder(req, order) && req.user?.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const invoice = await issueInvoice(order);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${invoice.fileName}"`);
+    const downloadStream = openDownloadStream(invoice.file);
+
+    // Handle stream errors
+    downloadStream.on('error', (err) => {
+      console.error('Invoice download stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Error streaming invoice' });
+      }
+    });
+
+    downloadStream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    if (!res.headersSent) {
+      sendHttpError(res, error, 'Error fetching invoice');
+    }
+  }
+});
+
+// Price a cart without placing the order
+router.post('/quote', verifyToken, [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Item quantity must be a positive integer'),
+  body('couponCode')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Coupon code must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promotedQuote = await applyPromotions(await buildOrderQuote(req.body.items), {
+      couponCode: req.body.couponCode,
+      userId: req.user.id
+    });
+    const quote = applyTax(promotedQuote, req.body.shippingAddress?.state);
+    res.json({
+      success: true,
+      quote: serializeQuote(quote),
+      priceChanges: findPriceMismatches(quote)
+    });
+  } catch (error) {
+    console.error('Error building quote:', error);
+    sendHttpError(res, error, 'Error building quote');
+  }
+});
+
+const orderValidation = [
   body('items')
+    .if((value, { req }) => req.body.fromCart !== true)
     .isArray({ min: 1 })
     .withMessage('Items must be a non-empty array'),
   body('items.*.quantity')
+    .if((value, { req }) => req.body.fromCart !== true)
     .isInt({ min: 1 })
     .withMessage('Item quantity must be a positive integer'),
   body('items.*.price')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Item price must be a positive number'),
   body('shippingAddress.fullName')
@@ -135,8 +270,17 @@ router.post('/', verifyToken, [
     .withMessage('Phone must be exactly 10 digits'),
   body('paymentMethod')
     .notEmpty()
-    .withMessage('Payment method is required')
-], async (req, res) => {
+    .withMessage('Payment method is required'),
+  body('couponCode')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Coupon code must be text')
+];
+
+// Place an order for the signed-in user, or for a guest when there is no
+// req.user. Send `fromCart: true` instead of `items` to check out the saved
+// cart, which is emptied once the order is placed.
+const createOrder = async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -148,7 +292,32 @@ router.post('/', verifyToken, [
       });
     }
 
-    const { items, shippingAddress, paymentMethod } = req.body;
+    const { shippingAddress, paymentMethod, couponCode, fromCart } = req.body;
+
+    const guest = req.user ? null : {
+      name: req.body.guest.name?.trim() || shippingAddress?.fullName,
+      email: normalizeEmail(req.body.guest.email),
+      phone: req.body.guest.phone?.trim() || shippingAddress?.phone
+    };
+
+    let items = req.body.items;
+    let cart = null;
+    if (fromCart === true) {
+      const guestCartId = getGuestCartId(req);
+      if (req.user) {
+        cart = await Cart.findOne({ user: req.user._id });
+      } else if (guestCartId) {
+        cart = await Cart.findOne({ guestId: guestCartId, user: null });
+      }
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ success: false, message: 'Your cart is empty' });
+      }
+      items = cartToOrderItems(cart);
+    }
+
+    // Credit the sale to a recent reminder about the cart it was checked
+    // out from; orders placed any other way weren't prompted by it
+    const reminder = findAttributableReminder(cart);
 
     // Validate required fields
     if (!items || !items.length || !shippingAddress || !paymentMethod) {
@@ -158,96 +327,120 @@ router.post('/', verifyToken, [
       });
     }
 
-    // Calculate subtotal (sum of all items)
-    const subtotal = items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
+    // Generate a unique tracking number
+    const trackingNumber = `TRK${Date.now()}${Math.floor(Math.random() * 1000)}`;
 
-    // Validate stock and calculate delivery charges
-    let deliveryCharges = 0;
-    const FREE_DELIVERY_THRESHOLD = 1000;
-    
-    for (const item of items) {
-      const productId = item._id || item.product;
-      if (!productId) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Product ID is missing in one or more items' 
+    // Price the order, save it and take the stock as one unit of work so a
+    // failed stock reservation never leaves a half-created order behind
+    const { order, quote } = await runInTransaction(async (session) => {
+      // Price the order from the catalogue rather than trusting the cart
+      const baseQuote = await buildOrderQuote(items, { session });
+      const promotedQuote = await applyPromotions(baseQuote, {
+        couponCode,
+        userId: req.user?._id,
+        guestEmail: guest?.email,
+        session
+      });
+      const quote = applyTax(promotedQuote, shippingAddress.state);
+
+      // Ask the storefront to re-confirm if the prices it showed are stale
+      const priceChanges = findPriceMismatches(quote);
+      if (priceChanges.length > 0) {
+        throw new HttpError(409, 'Prices have changed since the cart was loaded. Please review the updated quote.', {
+          priceChanges,
+          quote: serializeQuote(quote)
         });
       }
 
-      const product = await Product.findById(productId);
-      if (!product) {
-        return res.status(400).json({ 
-          success: false, 
-          message: `Product with ID ${productId} not found` 
-        });
-      }
+      const { subtotal, deliveryCharges, discounts, discountTotal, totalAmount } = quote;
+      const orderItems = quote.items.map(item => ({
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        options: item.options,
+        name: item.name,
+        image: item.image,
+        specifications: item.specifications,
+        quantity: item.quantity,
+        price: item.price,
+        listPrice: item.listPrice,
+        promotionDiscount: item.promotionDiscount,
+        hsnCode: item.hsnCode,
+        taxRate: item.taxRate,
+        taxableValue: item.taxableValue,
+        cgst: item.cgst,
+        sgst: item.sgst,
+        igst: item.igst
+      }));
+
+      const order = new Order({
+        orderNumber: await generateOrderNumber(session),
+        user: req.user?._id,
+        guest,
+        items: orderItems,
+        subtotal,
+        deliveryCharges,
+        couponCode: quote.couponCode,
+        discounts,
+        discountTotal,
+        totalAmount,
+        tax: quote.tax,
+        shippingAddress,
+        paymentMethod,
+        status: 'pending',
+        statusHistory: [{
+          status: 'pending',
+          changedBy: req.user?._id,
+          note: req.user ? 'Order placed' : 'Order placed as guest'
+        }],
+        trackingNumber,
+        attribution: reminder ? {
+          source: 'cart_reminder',
+          reminderSentAt: reminder.sentAt,
+          couponCode: reminder.couponCode
+        } : undefined
+      });
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ 
-          success: false, 
-          message: `Insufficient stock for product: ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}` 
-        });
-      }
+      await order.save({ session });
+      await reserveStock(orderItems, session);
+      await redeemPromotions(discounts, session);
 
-      // Calculate delivery charges for this item (only if delivery charges applicable and order total < threshold)
-      if (subtotal < FREE_DELIVERY_THRESHOLD && product.deliveryChargesApplicable !== false) {
-        const itemDeliveryCharges = (product.deliveryCharges || 0) * item.quantity;
-        deliveryCharges += itemDeliveryCharges;
+      if (reminder) {
+        await Cart.updateOne(
+          { _id: cart._id, 'reminders._id': reminder._id },
+          { $set: { 'reminders.$.convertedOrder': order._id } },
+          { session }
+        );
       }
-    }
-
-    // If order total >= ₹1000, delivery is free
-    if (subtotal >= FREE_DELIVERY_THRESHOLD) {
-      deliveryCharges = 0;
-    }
-
-    // Calculate total amount (subtotal + delivery charges)
-    const totalAmount = subtotal + deliveryCharges;
 
-    // Generate a unique tracking number
-    const trackingNumber = `TRK${Date.now()}${Math.floor(Math.random() * 1000)}`;
+      // Only the lines that were checked out leave the cart
+      if (cart) {
+        await Cart.updateOne(
+          { _id: cart._id },
+          { $pull: { items: { _id: { $in: cart.items.map(item => item._id) } } } },
+          { session }
+        );
+      }
 
-    // Create order
-    const order = new Order({
-      user: req.user.id,
-      items,
-      subtotal,
-      deliveryCharges,
-      totalAmount,
-      shippingAddress,
-      paymentMethod,
-      status: 'pending',
-      trackingNumber
+      return { order, quote };
     });
+    const { totalAmount } = quote;
 
-    // Save order
-    await order.save();
-
-    // Update product stock
-    for (const item of items) {
-      const productId = item._id || item.product;
-      const product = await Product.findById(productId);
-      product.stock -= item.quantity;
-      await product.save();
-    }
-
-    // Get user details for email
-    const user = await User.findById(req.user.id);
+    // Get the customer's details for email
+    const contact = await getOrderContact(order);
 
     // Send order confirmation email to customer
     try {
       const customerEmailResult = await sendEmail({
-        to: user.email,
-        subject: 'Order Confirmation - Parnika Silks',
-        html: emailTemplates.orderConfirmation(user.name, trackingNumber)
+        to: contact.email,
+        subject: `Order Confirmation ${getOrderReference(order)} - Parnika Silks`,
+        html: emailTemplates.orderConfirmation(contact.name, getOrderReference(order), order.toObject())
       });
       
       if (!customerEmailResult.success) {
         console.error('❌ Failed to send order confirmation email to customer:', customerEmailResult.error || customerEmailResult.message);
       } else {
-        console.log('✅ Order confirmation email sent to customer:', user.email);
+        console.log('✅ Order confirmation email sent to customer:', contact.email);
       }
     } catch (emailError) {
       console.error('❌ Error sending customer email:', emailError);
@@ -265,14 +458,15 @@ router.post('/', verifyToken, [
               <h1 style="color: #4a5568;">New Order Placed</h1>
               <p>A new order has been placed:</p>
               <ul>
+                <li>Order Number: ${getOrderReference(order)}</li>
                 <li>Order ID: ${order._id}</li>
-                <li>Tracking Number: ${trackingNumber}</li>
-                <li>Customer: ${user.name} (${user.email})</li>
+                <li>Customer: ${contact.name} (${contact.email})${guest ? ' - guest checkout' : ''}</li>
+                ${quote.discountTotal > 0 ? `<li>Discounts: ₹${quote.discountTotal.toLocaleString()} (${quote.discounts.map(discount => discount.code || discount.name).join(', ')})</li>` : ''}
                 <li>Total Amount: ₹${totalAmount.toLocaleString()}</li>
               </ul>
               <h3>Order Items:</h3>
               <ul>
-                ${items.map(item => `<li>${item.quantity} × ${item.name || item.product?.name || 'Product'} @ ₹${item.price}</li>`).join('')}
+                ${order.items.map(item => `<li>${item.quantity} × ${item.name}${item.sku ? ` (${item.sku})` : ''} @ ₹${item.price}</li>`).join('')}
               </ul>
               <h3>Shipping Address:</h3>
               <p>${shippingAddress.fullName}<br>
@@ -301,16 +495,156 @@ router.post('/', verifyToken, [
     res.status(201).json({ 
       success: true, 
       message: 'Order created successfully', 
-      order 
+      order,
+      quote: serializeQuote(quote),
+      // Guests use this in place of a login to pay for and view the order
+      ...(guest ? { accessToken: issueGuestOrderToken(order) } : {})
     });
    
   } catch (error) {
     console.error('Error creating order:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error creating order', 
-      error: error.message 
+    sendHttpError(res, error, 'Error creating order');
+  }
+};
+
+// Create new order
+router.post('/', verifyToken, idempotent, orderValidation, createOrder);
+
+const guestValidation = [
+  body('guest.email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required'),
+  body('guest.name')
+    .optional()
+    .trim()
+    .escape()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('guest.phone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Phone must be exactly 10 digits')
+];
+
+// Guest checkout: same as above without an account. `guest.email` receives
+// the confirmation and is how the guest finds or claims the order later.
+// fromCart checks out the guest cart named in X-Cart-Id.
+router.post('/guest', idempotent, guestValidation, orderValidation, createOrder);
+
+// Guest order lookup, step one: email a code to the address on the order
+router.post('/guest/lookup', [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required'),
+  body('orderNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Order number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await requestGuestOrderLookup({ email: req.body.email, orderNumber: req.body.orderNumber });
+    res.json({
+      success: true,
+      message: 'If an order matches these details, a verification code has been sent to the email on it'
+    });
+  } catch (error) {
+    console.error('Error starting guest order lookup:', error);
+    sendHttpError(res, error, 'Error looking up order');
+  }
+});
+
+// Guest order lookup, step two: the code returns the order and a token for
+// further requests on it (payment, invoice)
+router.post('/guest/lookup/verify', [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required'),
+  body('orderNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Order number is required'),
+  body('otp')
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { order, accessToken } = await verifyGuestOrderLookup({
+      email: req.body.email,
+      orderNumber: req.body.orderNumber,
+      code: req.body.otp
+    });
+    res.json({
+      success: true,
+      order: { ...presentOrder(order), timeline: getStatusTimeline(order) },
+      accessToken
+    });
+  } catch (error) {
+    console.error('Error verifying guest order lookup:', error);
+    sendHttpError(res, error, 'Error looking up order');
+  }
+});
+
+// Email a code to the signed-in user to claim guest orders placed with
+// their email address
+router.post('/claim/request', auth, async (req, res) => {
+  try {
+    const claimable = await requestGuestOrderClaim(req.user);
+    res.json({
+      success: true,
+      message: 'A verification code has been sent to your email',
+      claimable
     });
+  } catch (error) {
+    console.error('Error requesting guest order claim:', error);
+    sendHttpError(res, error, 'Error claiming orders');
+  }
+});
+
+// Move the guest orders into the signed-in user's account
+router.post('/claim', auth, [
+  body('otp')
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claimed = await claimGuestOrders(req.user, req.body.otp);
+    res.json({ success: true, message: `${claimed} order(s) added to your account`, claimed });
+  } catch (error) {
+    console.error('Error claiming guest orders:', error);
+    sendHttpError(res, error, 'Error claiming orders');
   }
 });
 
@@ -321,77 +655,59 @@ router.put('/:id/status', verifyToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { status, expectedDeliveryDate, courierService } = req.body;
-    const order = await Order.findById(req.params.id).populate('user');
+    const { status, expectedDeliveryDate, courierService, note } = req.body;
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    const previousStatus = order.status;
-
-    // If changing to cancelled, restore stock
-    if (status === 'cancelled' && previousStatus !== 'cancelled') {
-      for (const item of order.items) {
-        const productId = item.product || item._id;
-        if (productId) {
-          const product = await Product.findById(productId);
-          if (product) {
-            product.stock += item.quantity;
-            await product.save();
-            console.log(`Restored ${item.quantity} units of stock for product ${product.name}`);
-          }
-        }
+    // Stock moves and the status change commit together or not at all
+    const order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw new HttpError(404, 'Order not found');
       }
-    }
 
-    // If changing from cancelled to another status, decrement stock again
-    if (previousStatus === 'cancelled' && status !== 'cancelled') {
-      for (const item of order.items) {
-        const productId = item.product || item._id;
-        if (productId) {
-          const product = await Product.findById(productId);
-          if (product) {
-            if (product.stock < item.quantity) {
-              return res.status(400).json({ 
-                success: false,
-                message: `Cannot change order status: Insufficient stock for product ${product.name}. Available: ${product.stock}, Required: ${item.quantity}` 
-              });
-            }
-            product.stock -= item.quantity;
-            await product.save();
-            console.log(`Deducted ${item.quantity} units of stock for product ${product.name}`);
-          }
-        }
+      // Rejects illegal moves such as delivered -> pending
+      const previousStatus = order.status;
+      transitionOrder(order, status, { changedBy: req.user._id, note });
+
+      // If changing to cancelled, restore stock. Goods returned after
+      // delivery are only restocked once they pass quality checks.
+      if (status === 'cancelled') {
+        await restoreStock(order.items, session);
+        await releasePromotions(order.discounts, session);
       }
-    }
 
-    order.status = status;
-    
-    // If status is being changed to "shipped", update expected delivery date and courier service
-    if (status === 'shipped') {
-      if (expectedDeliveryDate) {
-        order.expectedDeliveryDate = new Date(expectedDeliveryDate);
+      // A parcel refused at the door (RTO) comes back unopened and has no
+      // return request to go through quality checks, so restock it now
+      if (status === 'returned' && previousStatus === 'shipped') {
+        await restoreStock(order.items, session);
       }
-      if (courierService) {
-        order.courierService = courierService;
+
+      // If status is being changed to "shipped", update expected delivery date and courier service
+      if (status === 'shipped') {
+        if (expectedDeliveryDate) {
+          order.expectedDeliveryDate = new Date(expectedDeliveryDate);
+        }
+        if (courierService) {
+          order.courierService = courierService;
+        }
       }
-    }
 
-    await order.save();
+      await order.save({ session });
+      return order;
+    });
 
     // Send status update email to customer
     try {
+      const contact = await getOrderContact(order);
       const emailResult = await sendEmail({
-        to: order.user.email,
+        to: contact.email,
         subject: 'Order Status Update - Parnika Silks',
-        html: emailTemplates.orderStatusUpdate(order.user.name, order.trackingNumber, status)
+        html: emailTemplates.orderStatusUpdate(contact.name, getOrderReference(order), status)
       });
       
       if (!emailResult.success) {
         console.error('❌ Failed to send status update email:', emailResult.error || emailResult.message);
       } else {
-        console.log('✅ Status update email sent to:', order.user.email);
+        console.log('✅ Status update email sent to:', contact.email);
       }
     } catch (emailError) {
       console.error('❌ Error sending status update email:', emailError);
@@ -399,81 +715,179 @@ router.put('/:id/status', verifyToken, async (req, res) => {
     }
 
     res.json({ success: true, order });
+
+    if (status === 'cancelled') {
+      notifyStockSubscribers(order.items.map(item => item.product))
+        .catch(error => console.error('Error sending back-in-stock emails:', error));
+    }
   } catch (error) {
     console.error('Error updating order status:', error);
-    res.status(500).json({ message: 'Error updating order status' });
+    sendHttpError(res, error, 'Error updating order status');
   }
 });
 
 // Cancel order
-router.post('/:id/cancel', auth, async (req, res) => {
+router.post('/:id/cancel', auth, idempotent, async (req, res) => {
   try {
     const { reason } = req.body;
-    const order = await Order.findById(req.params.id);
-    
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
 
-    if (order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+    // Re-check the status inside the transaction so a double submit can't
+    // restore the same stock twice
+    const order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-    if (order.status !== 'pending') {
-      return res.status(400).json({ message: 'Only pending orders can be cancelled' });
-    }
+      if (!order) {
+        throw new HttpError(404, 'Order not found');
+      }
 
-    // Restore product stock when order is cancelled
-    for (const item of order.items) {
-      const productId = item.product || item._id;
-      if (productId) {
-        const product = await Product.findById(productId);
-        if (product) {
-          product.stock += item.quantity;
-          await product.save();
-          console.log(`Restored ${item.quantity} units of stock for product ${product.name}`);
-        }
+      if (!ownsOrder(req, order)) {
+        throw new HttpError(403, 'Not authorized');
       }
-    }
 
-    order.status = 'cancelled';
-    order.cancellationReason = reason;
-    await order.save();
+      if (order.status !== 'pending') {
+        throw new HttpError(400, 'Only pending orders can be cancelled');
+      }
+
+      // Restore product stock and coupon uses when order is cancelled
+      await restoreStock(order.items, session);
+      await releasePromotions(order.discounts, session);
+
+      transitionOrder(order, 'cancelled', { changedBy: req.user._id, note: reason || 'Cancelled by customer' });
+      order.cancellationReason = reason;
+      await order.save({ session });
+      return order;
+    });
 
     res.json({ message: 'Order cancelled successfully' });
+
+    notifyStockSubscribers(order.items.map(item => item.product))
+      .catch(error => console.error('Error sending back-in-stock emails:', error));
   } catch (error) {
     console.error('Error cancelling order:', error);
-    res.status(400).json({ message: error.message });
+    res.status(error instanceof HttpError ? error.status : 400).json({ message: error.message });
   }
 });
 
-// Submit refund request
-router.post('/:id/refund', auth, async (req, res) => {
+// Submit the UTR (and optionally a screenshot) of a manual UPI or bank
+// transfer for review
+router.post('/:id/payment-proof', orderAccess, upload.single('screenshot'), async (req, res) => {
   try {
-    const { bankDetails } = req.body;
     const order = await Order.findById(req.params.id);
-    
+
     if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+      return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    if (order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (!ownsOrder(req, order)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    // Validate before storing the screenshot
+    if (!isValidUtr(req.body.utr)) {
+      return res.status(400).json({ success: false, message: 'UTR must be 12 to 22 letters or digits' });
+    }
+
+    const screenshot = req.file
+      ? await uploadFile(req.file, { metadata: { order: order._id, purpose: 'payment_proof', private: true } })
+      : undefined;
+
+    await submitPaymentProof(order, { utr: req.body.utr, screenshot });
+    const contact = await getOrderContact(order);
+
+    if (process.env.ADMIN_EMAIL) {
+      try {
+        await sendEmail({
+          to: process.env.ADMIN_EMAIL,
+          subject: 'Payment Proof Submitted - Parnika Silks',
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h1 style="color: #4a5568;">Payment Proof Awaiting Review</h1>
+              <ul>
+                <li>Order Number: ${getOrderReference(order)}</li>
+                <li>Customer: ${contact.name} (${contact.email})</li>
+                <li>Amount: ₹${order.totalAmount.toLocaleString()}</li>
+                <li>UTR: ${order.paymentProof.utr}</li>
+                ${order.paymentProof.duplicateOf.length ? '<li><strong>Warning: this UTR is already used on another order</strong></li>' : ''}
+              </ul>
+            </div>
+          `
+        });
+      } catch (emailError) {
+        console.error('❌ Error sending admin email:', emailError);
+      }
     }
 
-    if (order.status !== 'cancelled') {
-      return res.status(400).json({ message: 'Only cancelled orders can be refunded' });
+    res.json({
+      success: true,
+      message: 'Payment details submitted. We will verify them shortly.',
+      paymentProof: {
+        utr: order.paymentProof.utr,
+        status: order.paymentProof.status,
+        submittedAt: order.paymentProof.submittedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error submitting payment proof:', error);
+    sendHttpError(res, error, 'Error submitting payment proof');
+  }
+});
+
+// Request a refund for a cancelled, already-paid order. Payouts go back to
+// the original payment unless bank details or store credit are requested.
+router.post('/:id/refund', auth, idempotent, [
+  body('method')
+    .optional()
+    .isIn(['original_payment', 'bank_transfer', 'store_credit'])
+    .withMessage('Method must be original_payment, bank_transfer or store_credit')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    order.refundDetails = bankDetails;
-    await order.save();
+    const { bankDetails, reason } = req.body;
+
+    // Checked and opened in one transaction so a double submit can't open
+    // two refunds for the same money
+    const refund = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw new HttpError(404, 'Order not found');
+      }
+
+      if (!ownsOrder(req, order)) {
+        throw new HttpError(403, 'Not authorized');
+      }
+
+      if (order.status !== 'cancelled') {
+        throw new HttpError(400, 'Only cancelled orders can be refunded');
+      }
+
+      return createRefund({
+        order,
+        method: req.body.method || (bankDetails ? 'bank_transfer' : 'original_payment'),
+        bankDetails,
+        reason: reason || order.cancellationReason || 'Order cancelled',
+        changedBy: req.user._id,
+        session
+      });
+    });
+    await notifyRefundUpdate(refund);
 
-    res.json({ 
+    res.status(201).json({
+      success: true,
       message: 'Refund request submitted successfully',
-      contactNumber: '+91 1234567890' // Replace with actual contact number
+      refund
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    console.error('Error requesting refund:', error);
+    sendHttpError(res, error, 'Error requesting refund');
   }
 });
 
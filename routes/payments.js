@@ -0,0 +1,157 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import { orderAccess } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { getPaymentProvider, startPayment, applyPaymentEvent, findGatewayOrder } from '../utils/payments/index.js';
+import { simulatePayment } from '../utils/payments/fake.js';
+import { ownsOrder } from '../utils/guestOrders.js';
+
+const router = express.Router();
+
+// Load one of the current user's (or guest token's) orders, or send the
+// error response
+const findOwnOrder = async (req, res, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID' });
+    return null;
+  }
+  const order = await Order.findById(orderId);
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+  if (!ownsOrder(req, order)) {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+  return order;
+};
+
+// Start an online payment: creates the gateway order the checkout widget
+// opens with
+router.post('/orders/:orderId/checkout', orderAccess, idempotent, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res, req.params.orderId);
+    if (!order) return;
+
+    const checkout = await startPayment(order);
+    res.json({ success: true, checkout });
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    sendHttpError(res, error, 'Error starting payment');
+  }
+});
+
+// Checkout callback from the browser once the customer has paid. The
+// gateway's signature proves the payment; the webhook may arrive before or
+// after this and only the first one counts.
+router.post('/verify', orderAccess, idempotent, [
+  body('orderId').notEmpty().withMessage('Order ID is required'),
+  body('gatewayOrderId').notEmpty().withMessage('Gateway order ID is required'),
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, gatewayOrderId, paymentId, signature } = req.body;
+    const order = await findOwnOrder(req, res, orderId);
+    if (!order) return;
+
+    // Any attempt counts: the customer may have paid in an earlier window
+    const gatewayOrder = findGatewayOrder(order, gatewayOrderId);
+    if (!gatewayOrder) {
+      return res.status(400).json({ success: false, message: 'Payment does not belong to this order' });
+    }
+
+    const provider = getPaymentProvider(gatewayOrder.provider);
+    if (!provider.verifyPaymentSignature({ gatewayOrderId, paymentId, signature })) {
+      return res.status(400).json({ success: false, message: 'Invalid payment signature' });
+    }
+
+    const result = await applyPaymentEvent({
+      provider: provider.name,
+      source: 'callback',
+      event: { eventId: `callback:${paymentId}`, type: 'captured', gatewayOrderId, paymentId },
+      payload: { gatewayOrderId, paymentId }
+    });
+
+    res.json({
+      success: true,
+      paymentStatus: result.order.paymentStatus,
+      status: result.order.status
+    });
+  } catch (error) {
+    console.error('Error verifying payment:', error);
+    sendHttpError(res, error, 'Error verifying payment');
+  }
+});
+
+// Gateway webhook. Signed over the raw request body; replays are
+// acknowledged without being applied twice.
+router.post('/webhook/:provider', idempotent, async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!req.rawBody || !provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const event = provider.parseWebhookEvent(req.body, req.headers);
+    if (!['captured', 'failed'].includes(event.type) || !event.gatewayOrderId) {
+      return res.json({ success: true, ignored: true });
+    }
+
+    const result = await applyPaymentEvent({
+      provider: provider.name,
+      source: 'webhook',
+      event,
+      payload: req.body
+    });
+
+    if (!result.order) {
+      console.warn(`Payment webhook for unknown gateway order ${event.gatewayOrderId}`);
+    }
+
+    res.json({ success: true, duplicate: result.duplicate });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    sendHttpError(res, error, 'Error handling payment webhook');
+  }
+});
+
+// Fake gateway only: pay (or fail) an order's open gateway order and get
+// back the signed callback and webhook to replay against the endpoints above
+router.post('/fake/orders/:orderId/simulate', orderAccess, async (req, res) => {
+  try {
+    getPaymentProvider('fake');
+
+    const order = await findOwnOrder(req, res, req.params.orderId);
+    if (!order) return;
+
+    if (order.paymentDetails?.provider !== 'fake' || !order.paymentDetails.gatewayOrderId) {
+      return res.status(400).json({ success: false, message: 'Start a payment with the fake provider first' });
+    }
+
+    const simulation = simulatePayment({
+      gatewayOrderId: order.paymentDetails.gatewayOrderId,
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : order.totalAmount,
+      fail: req.body.fail === true || req.body.fail === 'true'
+    });
+    res.json({ success: true, ...simulation });
+  } catch (error) {
+    console.error('Error simulating payment:', error);
+    sendHttpError(res, error, 'Error simulating payment');
+  }
+});
+
+export default router;
@@ -1,10 +1,21 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Product from '../models/Product.js';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, adminAuth, optionalAuth } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
 import fs from 'fs';
+import { serializeVariants } from '../utils/productVariants.js';
+import { captureWatchState, notifyWishlistWatchers } from '../utils/wishlist.js';
+import { subscribeToRestock, cancelRestockSubscription, notifyStockSubscribers } from '../utils/stockAlerts.js';
+import { HttpError, sendHttpError } from '../utils/httpError.js';
+import { parseSearchParams, searchProducts } from '../utils/productSearch.js';
+import { suggest, findDidYouMean, recordSearchMiss } from '../utils/searchSuggest.js';
+import { parseListQuery, parseResponseOptions, findList, sendList } from '../utils/listQuery.js';
+import { loadCategoryIndex, describeProductCategory, resolveCategoryIds, assignProductCategory } from '../utils/categories.js';
+import { getCategoryAttributes, buildSpecifications, presentSpecifications } from '../utils/categoryAttributes.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -35,55 +46,102 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage: storage });
 
+// Shape a product for listing responses, with its variants grouped under it
+// and its category as a slug plus breadcrumbs
+const transformProduct = (product, categoryIndex) => ({
+  _id: product._id.toString(),
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  originalPrice: product.originalPrice,
+  discountPercentage: product.discountPercentage,
+  ...describeProductCategory(categoryIndex, product),
+  stock: product.stock,
+  images: product.images,
+  specifications: presentSpecifications(getCategoryAttributes(categoryIndex, product.category), product.specifications),
+  sku: product.sku,
+  options: product.options || [],
+  availableOptions: product.getAvailableOptions(),
+  variants: serializeVariants(product),
+  averageRating: product.averageRating || 0,
+  totalReviews: product.totalReviews || 0,
+  createdAt: product.createdAt
+});
+
 // Get all products
 router.get('/', async (req, res) => {
   try {
-    const { category, sort, search } = req.query;
-    let query = {};
+    const list = parseListQuery(req.query, {
+      sorts: {
+        newest: [['createdAt', -1]],
+        price_asc: [['price', 1]],
+        price_desc: [['price', -1]]
+      },
+      filters: { price: 'number', createdAt: 'date' }
+    });
 
-    if (category) {
-      query.category = category;
+    const query = {};
+    // A category lists its subcategories' products too
+    if (req.query.category) {
+      query.categoryPath = { $in: await resolveCategoryIds(req.query.category) };
     }
-
-    if (search) {
-      query.name = { $regex: search, $options: 'i' };
+    if (req.query.search) {
+      const escaped = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.name = { $regex: escaped, $options: 'i' };
     }
 
-    let sortOption = {};
-    if (sort === 'price_asc') {
-      sortOption = { price: 1 };
-    } else if (sort === 'price_desc') {
-      sortOption = { price: -1 };
-    } else {
-      sortOption = { createdAt: -1 };
-    }
-
-    const products = await Product.find(query).sort(sortOption);
+    const result = await findList(Product, query, list);
+    const categoryIndex = await loadCategoryIndex();
     // Transform products to include all necessary fields
-    const transformedProducts = products.map(product => ({
-      _id: product._id.toString(),
-      name: product.name,
-      description: product.description,
-      price: product.price,
-      originalPrice: product.originalPrice,
-      discountPercentage: product.discountPercentage,
-      category: product.category,
-      stock: product.stock,
-      images: product.images,
-      specifications: product.specifications || {
-        material: 'Not specified',
-        color: 'Not specified',
-        sareeType: 'Not specified',
-        occasion: 'Not specified',
-        pattern: 'Not specified'
-      },
-      averageRating: product.averageRating || 0,
-      totalReviews: product.totalReviews || 0,
-      createdAt: product.createdAt
-    }));
-    res.json({ success: true, products: transformedProducts });
+    sendList(res, list, { ...result, data: result.data.map(product => transformProduct(product, categoryIndex)) },
+      products => ({ success: true, products }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching products');
+  }
+});
+
+// Search the catalogue: full-text `q`, filters, facet counts and cursor
+// paging. Pass `pageInfo.nextCursor` back as `cursor` for the next page.
+const sendSearchResults = async (req, res, params) => {
+  const { products, facets, attributes, filtered, total, sort, pageInfo } = await searchProducts(params);
+  const categoryIndex = await loadCategoryIndex();
+
+  // Nothing found: offer a spelling and note the miss for admins. Later
+  // pages and filtered-out results aren't misses.
+  let didYouMean = null;
+  if (total === 0 && params.q && !params.cursor && !filtered) {
+    didYouMean = await findDidYouMean(params.q);
+    recordSearchMiss(params.q, didYouMean)
+      .catch(error => console.error('Error recording search miss:', error));
+  }
+
+  sendList(
+    res,
+    { ...parseResponseOptions(req.query), paginate: params.limit !== null },
+    { data: products.map(product => transformProduct(product, categoryIndex)), pageInfo },
+    data => ({ success: true, products: data, total, sort, facets, attributes, pageInfo, didYouMean }),
+    { sort, facets, attributes, didYouMean }
+  );
+};
+
+router.get('/search', async (req, res) => {
+  try {
+    await sendSearchResults(req, res, parseSearchParams(req.query));
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Error fetching products' });
+    console.error('Error searching products:', error);
+    sendHttpError(res, error, 'Error searching products');
+  }
+});
+
+// As-you-type suggestions for the search box
+router.get('/suggest', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+    const suggestions = await suggest(req.query.q, { limit });
+    res.json({ success: true, ...suggestions });
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching search suggestions' });
   }
 });
 
@@ -102,6 +160,8 @@ router.get('/:id', async (req, res) => {
     });
 
     // Convert to plain object and ensure all fields are properly formatted
+    const categoryIndex = await loadCategoryIndex();
+    const attributes = getCategoryAttributes(categoryIndex, product.category);
     const transformedProduct = {
       _id: product._id.toString(),
       name: product.name,
@@ -109,16 +169,16 @@ router.get('/:id', async (req, res) => {
       price: product.price,
       originalPrice: product.originalPrice,
       discountPercentage: product.discountPercentage,
-      category: product.category,
+      ...describeProductCategory(categoryIndex, product),
       stock: product.stock,
       images: product.images,
-      specifications: {
-        material: product.specifications?.material || 'Not specified',
-        color: product.specifications?.color || 'Not specified',
-        sareeType: product.specifications?.sareeType || 'Not specified',
-        occasion: product.specifications?.occasion || 'Not specified',
-        pattern: product.specifications?.pattern || 'Not specified'
-      },
+      specifications: presentSpecifications(attributes, product.specifications),
+      // Labels, types and units for showing the specifications
+      attributes: attributes.map(({ key, label, type, unit }) => ({ key, label, type, unit })),
+      sku: product.sku,
+      options: product.options || [],
+      availableOptions: product.getAvailableOptions(),
+      variants: serializeVariants(product),
       reviews: product.reviews.map((review) => ({
         _id: review._id.toString(),
         user: {
@@ -131,6 +191,9 @@ router.get('/:id', async (req, res) => {
       })),
       averageRating: product.averageRating || 0,
       totalReviews: product.totalReviews || 0,
+      // Sold out, or some option is: shoppers can ask to be notified
+      notifyMeAvailable: product.stock <= 0 ||
+        (product.variants || []).some(variant => variant.isActive !== false && variant.stock <= 0),
       createdAt: product.createdAt
     };
 
@@ -141,67 +204,33 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Get products by category
+// The path-style routes below predate search. Unless the request pages
+// (`limit`, `cursor` or envelope=v2) they still return every match, and
+// /search/:query still matches part of the product name.
+const isLegacyListRequest = (query) =>
+  query.envelope !== 'v2' && query.limit === undefined && query.cursor === undefined;
+
+// Get products by category (slug), including its subcategories
 router.get('/category/:category', async (req, res) => {
   try {
-    const products = await Product.find({ category: req.params.category });
-    const transformedProducts = products.map(product => ({
-      _id: product._id.toString(),
-      name: product.name,
-      description: product.description,
-      price: product.price,
-      originalPrice: product.originalPrice,
-      discountPercentage: product.discountPercentage,
-      category: product.category,
-      stock: product.stock,
-      images: product.images,
-      specifications: product.specifications || {
-        material: 'Not specified',
-        color: 'Not specified',
-        sareeType: 'Not specified',
-        occasion: 'Not specified',
-        pattern: 'Not specified'
-      },
-      averageRating: product.averageRating || 0,
-      totalReviews: product.totalReviews || 0,
-      createdAt: product.createdAt
-    }));
-    res.json({ success: true, products: transformedProducts });
+    const params = parseSearchParams({ ...req.query, category: req.params.category });
+    if (isLegacyListRequest(req.query)) params.limit = null;
+    await sendSearchResults(req, res, params);
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Error fetching products' });
+    console.error('Error fetching products:', error);
+    sendHttpError(res, error, 'Error fetching products');
   }
 });
 
 // Search products
 router.get('/search/:query', async (req, res) => {
   try {
-    const products = await Product.find({
-      name: { $regex: req.params.query, $options: 'i' }
-    });
-    const transformedProducts = products.map(product => ({
-      _id: product._id.toString(),
-      name: product.name,
-      description: product.description,
-      price: product.price,
-      originalPrice: product.originalPrice,
-      discountPercentage: product.discountPercentage,
-      category: product.category,
-      stock: product.stock,
-      images: product.images,
-      specifications: product.specifications || {
-        material: 'Not specified',
-        color: 'Not specified',
-        sareeType: 'Not specified',
-        occasion: 'Not specified',
-        pattern: 'Not specified'
-      },
-      averageRating: product.averageRating || 0,
-      totalReviews: product.totalReviews || 0,
-      createdAt: product.createdAt
-    }));
-    res.json({ success: true, products: transformedProducts });
+    const params = parseSearchParams({ ...req.query, q: req.params.query });
+    if (isLegacyListRequest(req.query)) Object.assign(params, { limit: null, nameContains: true });
+    await sendSearchResults(req, res, params);
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Error searching products' });
+    console.error('Error searching products:', error);
+    sendHttpError(res, error, 'Error searching products');
   }
 });
 
@@ -229,15 +258,21 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
       name,
       description,
       price: parseFloat(price),
-      category,
       stock: parseInt(stock),
-      specifications,
       images
     });
+    const productCategory = await assignProductCategory(product, category);
+    product.specifications = buildSpecifications(
+      getCategoryAttributes(await loadCategoryIndex(), productCategory._id),
+      specifications
+    );
 
     const savedProduct = await product.save();
     res.status(201).json(savedProduct);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error, 'Error creating product');
+    }
     res.status(400).json({ message: error.message });
   }
 });
@@ -251,6 +286,7 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+    const watchState = captureWatchState(product);
 
     // Handle specifications as a nested object
     const specifications = {};
@@ -264,9 +300,16 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
     if (name) product.name = name;
     if (description) product.description = description;
     if (price) product.price = parseFloat(price);
-    if (category) product.category = category;
+    if (category) await assignProductCategory(product, category);
     if (stock) product.stock = parseInt(stock);
-    if (Object.keys(specifications).length > 0) product.specifications = specifications;
+    // A new category may want different specifications
+    if (category || Object.keys(specifications).length > 0) {
+      product.specifications = buildSpecifications(
+        getCategoryAttributes(await loadCategoryIndex(), product.category),
+        specifications,
+        product.specifications
+      );
+    }
     
     if (req.files && req.files.length > 0) {
       const newImages = req.files.map(file => `/uploads/products/${file.filename}`);
@@ -275,7 +318,15 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
 
     const updatedProduct = await product.save();
     res.json(updatedProduct);
+
+    notifyWishlistWatchers(watchState, updatedProduct)
+      .catch(error => console.error('Error sending wishlist alerts:', error));
+    notifyStockSubscribers([updatedProduct._id])
+      .catch(error => console.error('Error sending back-in-stock emails:', error));
   } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error, 'Error updating product');
+    }
     res.status(400).json({ message: error.message });
   }
 });
@@ -298,6 +349,69 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Ask to be emailed when a sold-out product (or `variantId` option) is
+// back. Signed-in shoppers default to their account email; guests send one.
+router.post('/:id/notify-me', optionalAuth, [
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required'),
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const email = req.body.email || req.user?.email;
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    await subscribeToRestock({
+      productId: req.params.id,
+      variantId: req.body.variantId,
+      user: req.user,
+      email
+    });
+    res.status(201).json({ success: true, message: "We'll email you when it's back in stock" });
+  } catch (error) {
+    console.error('Error subscribing to restock:', error);
+    sendHttpError(res, error, 'Error subscribing to restock');
+  }
+});
+
+// Stop waiting for a product (signed-in shoppers)
+router.delete('/:id/notify-me', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    await cancelRestockSubscription({
+      productId: req.params.id,
+      variantId: req.query.variantId,
+      email: req.user.email
+    });
+    res.json({ success: true, message: 'You will not be notified about this product' });
+  } catch (error) {
+    console.error('Error cancelling restock subscription:', error);
+    res.status(500).json({ success: false, message: 'Error cancelling restock subscription' });
+  }
+});
+
 // Add review to product
 router.post('/:id/reviews', auth, async (req, res) => {
   try {
@@ -0,0 +1,210 @@
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import StatementImport from '../models/StatementImport.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+import {
+  importStatement,
+  resolveRow,
+  ignoreRow,
+  buildImportReport
+} from '../utils/reconciliation.js';
+
+const router = express.Router();
+
+// Every route here reconciles payments
+router.use(adminAuth, requirePermission('payments:verify'));
+
+const allowedMimeTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+const upload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Upload the statement as a CSV file.'), false);
+    }
+  }
+});
+
+const validId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Upload a bank statement CSV and auto-match its credits
+router.post('/imports', upload.single('statement'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Statement file is required' });
+    }
+
+    const statementImport = await importStatement({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${statementImport.totals.matched} payment(s) matched, ${statementImport.totals.review} sent for review`,
+      statementImport
+    });
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    sendHttpError(res, error, 'Error importing statement');
+  }
+});
+
+// List imports, newest first
+router.get('/imports', async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sorts: { newest: [['createdAt', -1]], oldest: [['createdAt', 1]] },
+      filters: { createdAt: 'date' }
+    });
+    const result = await findList(StatementImport, {}, list, imports => imports
+      .select('-rows')
+      .populate('uploadedBy', 'name'));
+    sendList(res, list, result, imports => ({ success: true, imports }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching imports');
+  }
+});
+
+// Get one import with every row
+router.get('/imports/:id', async (req, res) => {
+  try {
+    if (!validId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+    const statementImport = await StatementImport.findById(req.params.id)
+      .populate('uploadedBy', 'name')
+      .populate('rows.order', 'orderNumber trackingNumber totalAmount')
+      .populate('rows.candidates', 'orderNumber trackingNumber totalAmount paymentStatus');
+    if (!statementImport) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+    res.json({ success: true, statementImport });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching import' });
+  }
+});
+
+// Download the outcome of an import as CSV
+router.get('/imports/:id/report', async (req, res) => {
+  try {
+    if (!validId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+    const statementImport = await StatementImport.findById(req.params.id);
+    if (!statementImport) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    const report = await buildImportReport(statementImport);
+    const date = statementImport.createdAt.toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="reconciliation_${date}_${statementImport._id}.csv"`);
+    res.send(report);
+  } catch (error) {
+    console.error('Error building reconciliation report:', error);
+    res.status(500).json({ success: false, message: 'Error building report' });
+  }
+});
+
+// Review queue: unmatched and ambiguous credits from every import
+router.get('/review', async (req, res) => {
+  try {
+    const rows = await StatementImport.aggregate([
+      { $match: { 'rows.status': { $in: ['unmatched', 'ambiguous'] } } },
+      { $unwind: '$rows' },
+      { $match: { 'rows.status': { $in: ['unmatched', 'ambiguous'] } } },
+      { $sort: { 'rows.date': 1 } },
+      {
+        $project: {
+          _id: '$rows._id',
+          import: '$_id',
+          fileName: 1,
+          rowNumber: '$rows.rowNumber',
+          date: '$rows.date',
+          amount: '$rows.amount',
+          utr: '$rows.utr',
+          narration: '$rows.narration',
+          status: '$rows.status',
+          reason: '$rows.reason',
+          candidates: '$rows.candidates'
+        }
+      }
+    ]);
+    await StatementImport.populate(rows, { path: 'candidates', model: 'Order', select: 'orderNumber trackingNumber totalAmount paymentStatus' });
+    res.json({ success: true, rows });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching review queue' });
+  }
+});
+
+// Link a review row to the order it pays for; the order is marked paid
+router.put('/imports/:id/rows/:rowId/resolve', [
+  body('orderId')
+    .isMongoId()
+    .withMessage('A valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    if (!validId(req.params.id) || !validId(req.params.rowId)) {
+      return res.status(400).json({ success: false, message: 'Invalid import or row ID' });
+    }
+
+    const { row } = await resolveRow(req.params.id, req.params.rowId, {
+      orderId: req.body.orderId,
+      allowDuplicate: req.body.allowDuplicate === true,
+      req
+    });
+    res.json({ success: true, row });
+  } catch (error) {
+    console.error('Error resolving statement row:', error);
+    sendHttpError(res, error, 'Error resolving statement row');
+  }
+});
+
+// Dismiss a review row that is not an order payment
+router.put('/imports/:id/rows/:rowId/ignore', [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    if (!validId(req.params.id) || !validId(req.params.rowId)) {
+      return res.status(400).json({ success: false, message: 'Invalid import or row ID' });
+    }
+
+    const { row } = await ignoreRow(req.params.id, req.params.rowId, { reason: req.body.reason, req });
+    res.json({ success: true, row });
+  } catch (error) {
+    console.error('Error ignoring statement row:', error);
+    sendHttpError(res, error, 'Error ignoring statement row');
+  }
+});
+
+export default router;
@@ -0,0 +1,222 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+import { auth, adminAuth, orderAccess } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { HttpError, sendHttpError } from '../utils/httpError.js';
+import { runInTransaction } from '../utils/inventory.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+import { ownsOrder } from '../utils/guestOrders.js';
+import {
+  createRefund,
+  transitionRefund,
+  processRefund,
+  getRefundableAmount,
+  notifyRefundUpdate
+} from '../utils/refunds.js';
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Load a refund for an admin action, or send 404
+const findRefund = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid refund ID' });
+    return null;
+  }
+  const refund = await Refund.findById(req.params.id);
+  if (!refund) {
+    res.status(404).json({ success: false, message: 'Refund not found' });
+    return null;
+  }
+  return refund;
+};
+
+const refundListOptions = {
+  sorts: { newest: [['createdAt', -1]], oldest: [['createdAt', 1]] },
+  filters: { status: 'string', method: 'string', order: 'objectId', createdAt: 'date' }
+};
+
+// Get the current user's refunds
+router.get('/my', auth, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, refundListOptions);
+    const result = await findList(Refund, { user: req.user._id }, list, refunds => refunds
+      .select('-bankDetails.accountNumber')
+      .populate('order', 'orderNumber trackingNumber createdAt totalAmount'));
+    sendList(res, list, result, refunds => ({ success: true, refunds }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching refunds');
+  }
+});
+
+// Get all refunds, optionally by status or order (admin only)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, refundListOptions);
+    const result = await findList(Refund, {}, list, refunds => refunds
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber trackingNumber totalAmount paymentMethod paymentStatus')
+      .populate('processedBy', 'name'));
+    sendList(res, list, result, refunds => ({ success: true, refunds }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching refunds');
+  }
+});
+
+// Get single refund (the order's owner, a guest with its order token, or
+// an admin)
+router.get('/:id', orderAccess, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid refund ID' });
+    }
+    const refund = await Refund.findById(req.params.id)
+      .populate('order', 'user orderNumber trackingNumber totalAmount paymentMethod paymentStatus refundedAmount')
+      .populate('returnRequest', 'type status');
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+    if (req.user?.role !== 'admin' && !(refund.order && ownsOrder(req, refund.order))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    res.json({ success: true, refund });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching refund' });
+  }
+});
+
+// Open a refund against any paid order, e.g. a goodwill or partial refund
+// (admin only)
+router.post('/', adminAuth, idempotent, [
+  body('orderId')
+    .isMongoId()
+    .withMessage('A valid order ID is required'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('method')
+    .isIn(['original_payment', 'bank_transfer', 'store_credit'])
+    .withMessage('Method must be original_payment, bank_transfer or store_credit')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { order, refund } = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.body.orderId).session(session);
+      if (!order) {
+        throw new HttpError(404, 'Order not found');
+      }
+
+      const refund = await createRefund({
+        order,
+        amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+        method: req.body.method,
+        bankDetails: req.body.bankDetails,
+        reason: req.body.reason,
+        changedBy: req.user._id,
+        session
+      });
+      return { order, refund };
+    });
+    await notifyRefundUpdate(refund);
+
+    res.status(201).json({ success: true, refund, refundable: await getRefundableAmount(order) });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    sendHttpError(res, error, 'Error creating refund');
+  }
+});
+
+// Approve a refund for payout (admin only)
+router.put('/:id/approve', adminAuth, async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    // A failed refund no longer counts against the order, so make sure
+    // nothing else has been refunded in the meantime
+    if (refund.status === 'failed') {
+      const order = await Order.findById(refund.order);
+      const refundable = await getRefundableAmount(order);
+      if (refund.amount > refundable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ₹${refundable.toLocaleString()} is left to refund on this order`
+        });
+      }
+    }
+
+    transitionRefund(refund, 'approved', { changedBy: req.user._id, note: req.body.note });
+    refund.approvedBy = req.user._id;
+    refund.failureReason = undefined;
+    await refund.save();
+    await notifyRefundUpdate(refund);
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('Error approving refund:', error);
+    sendHttpError(res, error, 'Error approving refund');
+  }
+});
+
+// Record the payout with its UTR or gateway reference (admin only)
+router.put('/:id/process', adminAuth, idempotent, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid refund ID' });
+    }
+
+    const refund = await processRefund(req.params.id, {
+      reference: req.body.reference?.trim(),
+      adminId: req.user._id,
+      note: req.body.note
+    });
+    await notifyRefundUpdate(refund);
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('Error processing refund:', error);
+    sendHttpError(res, error, 'Error processing refund');
+  }
+});
+
+// Mark a payout as failed (admin only). It can be approved again later.
+router.put('/:id/fail', adminAuth, [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A failure reason is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    transitionRefund(refund, 'failed', { changedBy: req.user._id, note: req.body.reason });
+    refund.failureReason = req.body.reason;
+    await refund.save();
+    await notifyRefundUpdate(refund);
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('Error failing refund:', error);
+    sendHttpError(res, error, 'Error updating refund');
+  }
+});
+
+export default router;
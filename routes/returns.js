@@ -0,0 +1,365 @@
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { parseListQuery, findList, sendList } from '../utils/listQuery.js';
+import { uploadFile, openDownloadStream } from '../utils/gridfs.js';
+import { getOrderReference } from '../utils/orderNumbers.js';
+import { ownsOrder } from '../utils/guestOrders.js';
+import { validateReturnRequest, openReturnRequest, transitionReturn, completeQualityCheck } from '../utils/returns.js';
+
+const router = express.Router();
+
+// File upload security configuration
+const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const maxFileSize = 5 * 1024 * 1024; // 5MB
+
+// File filter function
+const fileFilter = (req, file, cb) => {
+  if (allowedMimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Only ${allowedMimeTypes.join(', ')} are allowed.`), false);
+  }
+};
+
+const upload = multer({
+  limits: {
+    fileSize: maxFileSize,
+    files: 5
+  },
+  fileFilter: fileFilter
+});
+
+// Email the customer about the current state of their request
+const notifyCustomer = async (returnRequest, note) => {
+  try {
+    await returnRequest.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'order', select: 'orderNumber trackingNumber' }
+    ]);
+    const emailResult = await sendEmail({
+      to: returnRequest.user.email,
+      subject: `${returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} Request Update - Parnika Silks`,
+      html: emailTemplates.returnUpdate(returnRequest.user.name, getOrderReference(returnRequest.order), returnRequest, note)
+    });
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send return update email:', emailResult.error || emailResult.message);
+    } else {
+      console.log('✅ Return update email sent to:', returnRequest.user.email);
+    }
+  } catch (emailError) {
+    console.error('❌ Error sending return update email:', emailError);
+    // Don't fail the request if email fails
+  }
+};
+
+// Load a return request for an admin action, or send 404
+const findReturnRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid return request ID' });
+    return null;
+  }
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  if (!returnRequest) {
+    res.status(404).json({ success: false, message: 'Return request not found' });
+    return null;
+  }
+  return returnRequest;
+};
+
+// Request a return or exchange for a delivered order
+router.post('/', auth, upload.array('photos', 5), async (req, res) => {
+  try {
+    const { orderId, type } = req.body;
+    let { items } = req.body;
+
+    // Multipart forms send the item list as a JSON string
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: 'Invalid items' });
+      }
+    }
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: 'A valid order ID is required' });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (!ownsOrder(req, order)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    // Checked once here so a bad request doesn't upload its photos, and
+    // again when the request is stored
+    await validateReturnRequest(order, { type, items });
+
+    const photos = [];
+    for (const file of req.files || []) {
+      photos.push(await uploadFile(file, { metadata: { order: order._id, purpose: 'return', private: true } }));
+    }
+
+    const returnRequest = await openReturnRequest(order._id, { type, items, photos, userId: req.user._id });
+
+    await notifyCustomer(returnRequest);
+
+    if (process.env.ADMIN_EMAIL) {
+      try {
+        await sendEmail({
+          to: process.env.ADMIN_EMAIL,
+          subject: `New ${type} Request - Parnika Silks`,
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h1 style="color: #4a5568;">New ${type === 'exchange' ? 'Exchange' : 'Return'} Request</h1>
+              <ul>
+                <li>Request ID: ${returnRequest._id}</li>
+                <li>Order Number: ${getOrderReference(order)}</li>
+                <li>Customer: ${req.user.name} (${req.user.email})</li>
+                <li>Items: ${returnRequest.items.reduce((total, line) => total + line.quantity, 0)}</li>
+                <li>Photos: ${photos.length}</li>
+              </ul>
+            </div>
+          `
+        });
+      } catch (emailError) {
+        console.error('❌ Error sending admin email:', emailError);
+      }
+    }
+
+    res.status(201).json({ success: true, message: 'Return request submitted successfully', returnRequest });
+  } catch (error) {
+    console.error('Error creating return request:', error);
+    sendHttpError(res, error, 'Error creating return request');
+  }
+});
+
+const returnListOptions = {
+  sorts: { newest: [['createdAt', -1]], oldest: [['createdAt', 1]] },
+  filters: { status: 'string', type: 'string', order: 'objectId', createdAt: 'date' }
+};
+
+// Get the current user's return requests
+router.get('/my', auth, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, returnListOptions);
+    const result = await findList(ReturnRequest, { user: req.user._id }, list, returnRequests => returnRequests
+      .populate('order', 'orderNumber trackingNumber createdAt')
+      .populate('items.product', 'name images'));
+    sendList(res, list, result, returnRequests => ({ success: true, returnRequests }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching return requests');
+  }
+});
+
+// Get all return requests (admin only)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, returnListOptions);
+    const result = await findList(ReturnRequest, {}, list, returnRequests => returnRequests
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber trackingNumber createdAt'));
+    sendList(res, list, result, returnRequests => ({ success: true, returnRequests }));
+  } catch (error) {
+    sendHttpError(res, error, 'Error fetching return requests');
+  }
+});
+
+// Get single return request (owner or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid return request ID' });
+    }
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('order', 'orderNumber trackingNumber createdAt items')
+      .populate('items.product', 'name images');
+    if (!returnRequest) {
+      return res.status(404).json({ success: false, message: 'Return request not found' });
+    }
+    if (returnRequest.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching return request' });
+  }
+});
+
+// View one of the photos attached to a request (admin only)
+router.get('/:id/photos/:photoId', adminAuth, async (req, res) => {
+  try {
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    const photoId = returnRequest.photos.find(id => id.toString() === req.params.photoId);
+    const file = photoId ? await mongoose.connection.db.collection('uploads.files').findOne({ _id: photoId }) : null;
+    if (!file) {
+      return res.status(404).json({ success: false, message: 'Photo not found' });
+    }
+
+    res.set('Content-Type', file.contentType);
+    const downloadStream = openDownloadStream(file._id);
+    downloadStream.on('error', (err) => {
+      console.error('Return photo download stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, message: 'Error streaming file' });
+      }
+    });
+    downloadStream.pipe(res);
+  } catch (error) {
+    console.error('Error serving return photo:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Error serving return photo' });
+    }
+  }
+});
+
+// Approve a request (admin only)
+router.put('/:id/approve', adminAuth, async (req, res) => {
+  try {
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    transitionReturn(returnRequest, 'approved', { changedBy: req.user._id, note: req.body.note });
+    await returnRequest.save();
+    await notifyCustomer(returnRequest, req.body.note);
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Error approving return request:', error);
+    sendHttpError(res, error, 'Error approving return request');
+  }
+});
+
+// Reject a request (admin only)
+router.put('/:id/reject', adminAuth, [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    transitionReturn(returnRequest, 'rejected', { changedBy: req.user._id, note: req.body.reason });
+    returnRequest.rejectionReason = req.body.reason;
+    await returnRequest.save();
+    await notifyCustomer(returnRequest);
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Error rejecting return request:', error);
+    sendHttpError(res, error, 'Error rejecting return request');
+  }
+});
+
+// Schedule the pickup (admin only)
+router.put('/:id/schedule-pickup', adminAuth, [
+  body('scheduledFor')
+    .isISO8601()
+    .withMessage('A valid pickup date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    const { scheduledFor, courierService, trackingNumber, note } = req.body;
+    transitionReturn(returnRequest, 'pickup_scheduled', { changedBy: req.user._id, note });
+    returnRequest.pickup = {
+      scheduledFor: new Date(scheduledFor),
+      courierService,
+      trackingNumber
+    };
+    await returnRequest.save();
+    await notifyCustomer(returnRequest, note);
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Error scheduling pickup:', error);
+    sendHttpError(res, error, 'Error scheduling pickup');
+  }
+});
+
+// Mark the items as received at the warehouse (admin only)
+router.put('/:id/receive', adminAuth, async (req, res) => {
+  try {
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    transitionReturn(returnRequest, 'received', { changedBy: req.user._id, note: req.body.note });
+    await returnRequest.save();
+    await notifyCustomer(returnRequest, req.body.note);
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Error receiving return:', error);
+    sendHttpError(res, error, 'Error receiving return');
+  }
+});
+
+// Record the quality check (admin only). A pass restocks the items and
+// starts the refund or creates the replacement order.
+router.put('/:id/qc', adminAuth, [
+  body('result')
+    .isIn(['passed', 'failed'])
+    .withMessage('Result must be passed or failed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid return request ID' });
+    }
+
+    const returnRequest = await completeQualityCheck(req.params.id, {
+      passed: req.body.result === 'passed',
+      notes: req.body.notes,
+      adminId: req.user._id
+    });
+    await notifyCustomer(returnRequest, req.body.notes);
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Error recording quality check:', error);
+    sendHttpError(res, error, 'Error recording quality check');
+  }
+});
+
+export default router;
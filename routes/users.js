@@ -1,12 +1,18 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { auth } from '../middleware/auth.js';
+import Wishlist from '../models/Wishlist.js';
+import { addToWishlist, removeFromWishlist, presentWishlist } from '../utils/wishlist.js';
+import { loadCart, addCartItem, priceCart } from '../utils/cart.js';
+import { sendHttpError } from '../utils/httpError.js';
 import { sendEmail, emailTemplates } from '../utils/emailService.js';
 import crypto from 'crypto';
 import axios from 'axios';
 import { body, validationResult } from 'express-validator';
+import { readUnsubscribeToken, buildPreferenceUpdate } from '../utils/emailPreferences.js';
 
 const router = express.Router();
 
@@ -46,6 +52,135 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// One-click unsubscribe from an optional email (cart reminders, wishlist
+// alerts). Opened straight from the email, so it answers with a plain page.
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const subscription = readUnsubscribeToken(req.query.token);
+    if (!subscription) {
+      return res.status(400).send('<p>This unsubscribe link is invalid.</p>');
+    }
+
+    await User.updateOne({ _id: subscription.user }, { $set: { [`emailPreferences.${subscription.list}`]: false } });
+    res.send('<p>You have been unsubscribed. You can turn these emails back on from your profile.</p>');
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).send('<p>Something went wrong. Please try again later.</p>');
+  }
+});
+
+// Get the wishlist with current prices and stock
+router.get('/wishlist', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    res.json({ success: true, wishlist: await presentWishlist(wishlist) });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({ success: false, message: 'Error fetching wishlist' });
+  }
+});
+
+// Save a product (optionally a specific option) to the wishlist
+router.post('/wishlist', auth, [
+  body('productId')
+    .isMongoId()
+    .withMessage('A valid product ID is required'),
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await addToWishlist(req.user._id, {
+      productId: req.body.productId,
+      variantId: req.body.variantId
+    });
+    res.json({ success: true, message: 'Added to wishlist', wishlist: await presentWishlist(wishlist) });
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    sendHttpError(res, error, 'Error adding to wishlist');
+  }
+});
+
+// Remove a product; `?variantId=` removes only that option
+router.delete('/wishlist/:productId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const wishlist = await removeFromWishlist(req.user._id, req.params.productId, req.query.variantId);
+    res.json({ success: true, message: 'Removed from wishlist', wishlist: await presentWishlist(wishlist) });
+  } catch (error) {
+    console.error('Error removing from wishlist:', error);
+    res.status(500).json({ success: false, message: 'Error removing from wishlist' });
+  }
+});
+
+// Move a wishlist product into the cart. Products sold in options need a
+// variantId unless one was saved with the wishlist entry.
+router.post('/wishlist/:productId/move-to-cart', auth, [
+  body('variantId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Variant ID must be valid'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const savedWishlist = await Wishlist.findOne({ user: req.user._id });
+    const entries = (savedWishlist?.items || []).filter(entry => entry.product.toString() === req.params.productId);
+    const item = entries.find(entry => String(entry.variant || '') === String(req.body.variantId || '')) || entries[0];
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Product is not in your wishlist' });
+    }
+
+    const variantId = req.body.variantId || item.variant;
+    const cart = await loadCart(req, { create: true });
+    await addCartItem(cart, {
+      productId: req.params.productId,
+      variantId,
+      quantity: parseInt(req.body.quantity) || 1
+    });
+
+    savedWishlist.items.pull(item._id);
+    await savedWishlist.save();
+
+    res.json({
+      success: true,
+      message: 'Moved to cart',
+      wishlist: await presentWishlist(savedWishlist),
+      cart: await priceCart(cart)
+    });
+  } catch (error) {
+    console.error('Error moving wishlist item to cart:', error);
+    sendHttpError(res, error, 'Error moving item to cart');
+  }
+});
+
 // Update user profile
 router.put('/update', auth, [
   body('name')
@@ -64,7 +199,11 @@ router.put('/update', auth, [
     .optional()
     .trim()
     .matches(/^[0-9]{10}$/)
-    .withMessage('Phone must be exactly 10 digits')
+    .withMessage('Phone must be exactly 10 digits'),
+  body('emailPreferences.*')
+    .optional()
+    .isBoolean()
+    .withMessage('Email preferences must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -76,7 +215,7 @@ router.put('/update', auth, [
       });
     }
 
-    const { name, email, phone } = req.body;
+    const { name, email, phone, emailPreferences } = req.body;
 
     // Check if email is already in use
     if (email && email !== req.user.email) {
@@ -88,7 +227,12 @@ router.put('/update', auth, [
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { name, email, phone },
+      {
+        name,
+        email,
+        phone,
+        ...buildPreferenceUpdate(emailPreferences)
+      },
       { new: true }
     ).select('-password');
 
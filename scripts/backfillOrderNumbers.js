@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import Counter from '../models/Counter.js';
+import { formatOrderNumber } from '../utils/orderNumbers.js';
+
+// Load environment variables
+dotenv.config();
+
+// Give every order placed before order numbers existed one, in the order
+// they were placed, then move each year's counter past the highest number
+// so new orders carry on from there. Run it once right after deploying.
+async function backfillOrderNumbers() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Carry on from numbers already issued, so the script can be re-run
+    const lastSequences = {};
+    const numbered = await Order.find({ orderNumber: { $exists: true, $ne: null } }).select('orderNumber');
+    for (const order of numbered) {
+      const [, year, sequence] = order.orderNumber.split('-');
+      lastSequences[year] = Math.max(lastSequences[year] || 0, Number(sequence));
+    }
+
+    const orders = await Order.find({ orderNumber: null })
+      .select('_id createdAt')
+      .sort({ createdAt: 1, _id: 1 });
+    console.log(`Found ${orders.length} orders without an order number`);
+
+    for (const order of orders) {
+      const year = String((order.createdAt || order._id.getTimestamp()).getFullYear());
+      lastSequences[year] = (lastSequences[year] || 0) + 1;
+      await Order.updateOne(
+        { _id: order._id, orderNumber: null },
+        { $set: { orderNumber: formatOrderNumber(year, lastSequences[year]) } }
+      );
+    }
+
+    for (const [year, sequence] of Object.entries(lastSequences)) {
+      await Counter.updateOne({ _id: `order-${year}` }, { $max: { seq: sequence } }, { upsert: true });
+    }
+
+    console.log(`Numbered ${orders.length} orders`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling order numbers:', error);
+    process.exit(1);
+  }
+}
+
+backfillOrderNumbers();
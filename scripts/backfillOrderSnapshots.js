@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { snapshotProduct } from '../utils/orderItems.js';
+
+// Load environment variables
+dotenv.config();
+
+// Fill in the product snapshot on order lines placed before snapshots
+// existed, from products that still exist. Lines whose product is gone are
+// left as they are.
+async function backfillOrderSnapshots() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const orders = await Order.find({ 'items.name': { $exists: false } });
+    console.log(`Found ${orders.length} orders without snapshots`);
+
+    let updatedCount = 0;
+    for (const order of orders) {
+      let changed = false;
+      for (const item of order.items) {
+        if (item.name) continue;
+        const product = await Product.findById(item.product);
+        if (!product) continue;
+
+        const variant = item.variant ? product.getVariant(item.variant) : null;
+        Object.assign(item, snapshotProduct(product, variant));
+        if (!item.hsnCode) item.hsnCode = product.hsnCode;
+        changed = true;
+      }
+      if (changed) {
+        await order.save({ validateBeforeSave: false });
+        updatedCount++;
+      }
+    }
+
+    console.log(`Updated ${updatedCount} orders`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling order snapshots:', error);
+    process.exit(1);
+  }
+}
+
+backfillOrderSnapshots();
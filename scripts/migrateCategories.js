@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+// Load environment variables
+dotenv.config();
+
+// The categories products used to pick from. Their values become the slugs
+// (and tax classes) of the new top-level categories, so existing storefront
+// links and coupon scopes keep working.
+const LEGACY_CATEGORIES = [
+  { slug: 'saree', name: 'Sarees' },
+  { slug: 'dress', name: 'Dresses' },
+  { slug: 'lehenga', name: 'Lehengas' },
+  { slug: 'salwar', name: 'Salwar Suits' },
+  { slug: 'other', name: 'Other' }
+];
+
+// Move products from the old category names to the category tree. Safe to
+// run again: existing categories are reused and migrated products skipped.
+async function migrateCategories() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const categoriesBySlug = new Map();
+    for (const [position, legacy] of LEGACY_CATEGORIES.entries()) {
+      let category = await Category.findOne({ slug: legacy.slug });
+      if (!category) {
+        category = await Category.create({
+          ...legacy,
+          parent: null,
+          ancestors: [],
+          taxClass: legacy.slug,
+          sortOrder: position
+        });
+        console.log(`Created category ${category.name}`);
+      }
+      categoriesBySlug.set(category.slug, category);
+    }
+
+    // Read through the raw collection: the schema now expects ObjectIds
+    const products = await Product.collection
+      .find({ category: { $type: 'string' } })
+      .project({ category: 1 })
+      .toArray();
+    console.log(`Found ${products.length} products to migrate`);
+
+    let updatedCount = 0;
+    for (const product of products) {
+      const category = categoriesBySlug.get(product.category.trim().toLowerCase()) || categoriesBySlug.get('other');
+      await Product.collection.updateOne(
+        { _id: product._id },
+        { $set: { category: category._id, categoryPath: [...category.ancestors, category._id] } }
+      );
+      updatedCount++;
+    }
+
+    console.log(`Updated ${updatedCount} products`);
+    // Running servers keep their cached category list for a few minutes;
+    // checkout always reads it fresh
+    console.log('Storefront category pages pick up the changes within 5 minutes, or restart the API');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating categories:', error);
+    process.exit(1);
+  }
+}
+
+migrateCategories();
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// A throwaway single-node replica set (transactions need one) with mongoose
+// connected to it. mongodb-memory-server downloads a mongod binary on first
+// use; set MONGOMS_SYSTEM_BINARY to use a local one instead. When no binary
+// can be had, `skip` holds the reason so database tests are skipped rather
+// than failed, with a warning so a green run isn't mistaken for a full one.
+// If a MONGOMS_* setting is given but can't be used, that is an error.
+export const startDatabase = async () => {
+  let replSet;
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (error) {
+    const reason = `MongoDB is not available: ${error.message.split('\n')[0]}`;
+    const configured = Object.keys(process.env).filter(name => name.startsWith('MONGOMS_'));
+    if (configured.length > 0) {
+      throw new Error(`${reason} (configured with ${configured.join(', ')})`);
+    }
+    console.warn(`WARNING: database tests skipped. ${reason}`);
+    return { skip: reason, stop: async () => {} };
+  }
+
+  await mongoose.connect(replSet.getUri());
+  return {
+    skip: false,
+    stop: async () => {
+      await mongoose.disconnect();
+      await replSet.stop();
+    }
+  };
+};
+
+// An Express app on a random local port with `router` mounted at `path`
+export const startApp = async (path, router) => {
+  const { default: express } = await import('express');
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
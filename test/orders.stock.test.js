@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDatabase, startApp } from './helpers/setup.js';
+
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.BREVO_API_KEY;
+
+const { default: Product } = await import('../models/Product.js');
+const { default: Category } = await import('../models/Category.js');
+const { default: Order } = await import('../models/Order.js');
+const { default: orderRoutes } = await import('../routes/orders.js');
+
+const database = await startDatabase();
+let app;
+
+before(async () => {
+  if (database.skip) return;
+  app = await startApp('/api/orders', orderRoutes);
+});
+
+after(async () => {
+  await app?.close();
+  await database.stop();
+});
+
+const guestOrder = (productId, index) => ({
+  items: [{ product: productId, quantity: 1 }],
+  guest: { email: `guest${index}@example.com` },
+  shippingAddress: {
+    fullName: 'Test Shopper',
+    addressLine1: '12 Temple Street',
+    city: 'Guntur',
+    state: 'Andhra Pradesh',
+    postalCode: '522001',
+    phone: '9876543210'
+  },
+  paymentMethod: 'cod'
+});
+
+test('parallel orders for the last unit: exactly one succeeds', { skip: database.skip }, async () => {
+  const category = await Category.create({ name: 'Sarees', slug: 'saree', taxClass: 'saree' });
+  const product = await Product.create({
+    name: 'Kanchipuram Silk Saree',
+    description: 'Pure silk',
+    price: 5000,
+    stock: 1,
+    category: category._id,
+    categoryPath: [category._id]
+  });
+
+  const responses = await Promise.all(Array.from({ length: 5 }, (_, index) => fetch(`${app.url}/guest`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(guestOrder(product._id, index))
+  })));
+
+  const statuses = responses.map(response => response.status);
+  assert.equal(statuses.filter(status => status === 201).length, 1, `statuses: ${statuses}`);
+  // Turned away either when pricing (400) or when taking the stock (409)
+  assert.ok(statuses.filter(status => status !== 201).every(status => [400, 409].includes(status)), `statuses: ${statuses}`);
+
+  assert.equal((await Product.findById(product._id)).stock, 0);
+  assert.equal(await Order.countDocuments({ 'items.product': product._id }), 1);
+});
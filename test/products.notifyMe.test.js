@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDatabase, startApp } from './helpers/setup.js';
+
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.BREVO_API_KEY;
+
+const { default: Product } = await import('../models/Product.js');
+const { default: Category } = await import('../models/Category.js');
+const { default: StockSubscription } = await import('../models/StockSubscription.js');
+const { default: productRoutes } = await import('../routes/products.js');
+
+const database = await startDatabase();
+let app;
+
+before(async () => {
+  if (database.skip) return;
+  app = await startApp('/api/products', productRoutes);
+});
+
+after(async () => {
+  await app?.close();
+  await database.stop();
+});
+
+const notifyMe = (productId, body) => fetch(`${app.url}/${productId}/notify-me`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('notify-me rejects an invalid product id', { skip: database.skip }, async () => {
+  const response = await notifyMe('not-an-id', { email: 'shopper@example.com' });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).message, 'Invalid product ID');
+});
+
+test('notify-me subscribes a guest to an out of stock product', { skip: database.skip }, async () => {
+  const category = await Category.create({ name: 'Sarees', slug: 'saree', taxClass: 'saree' });
+  const product = await Product.create({
+    name: 'Banarasi Silk Saree',
+    description: 'Handwoven',
+    price: 7000,
+    stock: 0,
+    category: category._id,
+    categoryPath: [category._id]
+  });
+
+  const response = await notifyMe(product._id, { email: 'Shopper@Example.com' });
+  assert.equal(response.status, 201);
+
+  // Asking again doesn't add a second subscription
+  assert.equal((await notifyMe(product._id, { email: 'shopper@example.com' })).status, 201);
+  const subscriptions = await StockSubscription.find({ product: product._id });
+  assert.equal(subscriptions.length, 1);
+  assert.equal(subscriptions[0].email, 'shopper@example.com');
+});
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import Coupon from '../models/Coupon.js';
+import User from '../models/User.js';
+import { sendEmail, emailTemplates } from './emailService.js';
+import { priceCart } from './cart.js';
+import { getStorefrontUrl, isSubscribed, buildUnsubscribeUrl } from './emailPreferences.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Read on every run so a restart isn't needed to tune the job
+export const getReminderConfig = () => ({
+  enabled: process.env.CART_REMINDERS_ENABLED === 'true',
+  // How long a cart sits untouched before the first reminder
+  idleHours: parseFloat(process.env.CART_REMINDER_IDLE_HOURS) || 24,
+  // Reminders per abandoned cart, and the wait between them
+  maxReminders: parseInt(process.env.CART_REMINDER_MAX_PER_CART) || 2,
+  gapHours: parseFloat(process.env.CART_REMINDER_GAP_HOURS) || 48,
+  // Percentage off on a one-use coupon in the first reminder; 0 sends none
+  couponPercent: parseFloat(process.env.CART_REMINDER_COUPON_PERCENT) || 0,
+  couponValidHours: parseFloat(process.env.CART_REMINDER_COUPON_VALID_HOURS) || 72,
+  // Orders placed this long after a reminder are credited to it
+  attributionDays: parseFloat(process.env.CART_REMINDER_ATTRIBUTION_DAYS) || 7,
+  intervalMinutes: parseFloat(process.env.CART_REMINDER_INTERVAL_MINUTES) || 60,
+  batchSize: parseInt(process.env.CART_REMINDER_BATCH_SIZE) || 100
+});
+
+// Reminders sent since the shopper last touched the cart
+const currentReminders = (cart) => cart.reminders.filter(reminder => reminder.sentAt >= cart.lastActivityAt);
+
+// Whether the cart is due a reminder under the send limits
+export const isReminderDue = (cart, config, now = new Date()) => {
+  if (now - cart.lastActivityAt < config.idleHours * HOUR) return false;
+
+  const sent = currentReminders(cart);
+  if (sent.length >= config.maxReminders) return false;
+
+  const last = sent[sent.length - 1];
+  return !last || now - last.sentAt >= config.gapHours * HOUR;
+};
+
+// A one-use coupon only the cart's owner can redeem
+const createReminderCoupon = (user, config, now) => Coupon.create({
+  code: `COMEBACK-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+  name: 'Cart reminder',
+  description: 'One-use coupon sent with an abandoned cart reminder',
+  type: 'percentage',
+  value: config.couponPercent,
+  usageLimit: 1,
+  perUserLimit: 1,
+  restrictedTo: user._id,
+  startsAt: now,
+  endsAt: new Date(now.getTime() + config.couponValidHours * HOUR)
+});
+
+// Email one cart's owner. Returns why nothing was sent, if it wasn't.
+export const sendCartReminder = async (cart, config, now = new Date()) => {
+  const user = await User.findById(cart.user).select('name email isActive emailPreferences');
+  if (!user || !user.isActive) return { skipped: 'no_user' };
+  if (!isSubscribed(user, 'cartReminders')) return { skipped: 'unsubscribed' };
+
+  // Only remind about what can still be bought
+  const priced = await priceCart(cart);
+  const items = priced.items.filter(item => !item.issue);
+  if (items.length === 0) return { skipped: 'out_of_stock' };
+
+  const coupon = config.couponPercent > 0 && currentReminders(cart).length === 0
+    ? await createReminderCoupon(user, config, now)
+    : null;
+
+  const resumeUrl = `${getStorefrontUrl()}/cart?utm_source=cart_reminder&utm_medium=email${coupon ? `&coupon=${coupon.code}` : ''}`;
+  const unsubscribeUrl = buildUnsubscribeUrl(user, 'cartReminders');
+
+  const emailResult = await sendEmail({
+    to: user.email,
+    subject: 'Your cart is waiting - Parnika Silks',
+    html: emailTemplates.cartReminder(user.name, items, { resumeUrl, unsubscribeUrl, coupon })
+  });
+  if (!emailResult.success) {
+    if (coupon) await Coupon.deleteOne({ _id: coupon._id });
+    return { skipped: 'email_failed' };
+  }
+
+  cart.reminders.push({ sentAt: now, coupon: coupon?._id, couponCode: coupon?.code });
+  await cart.save({ timestamps: false });
+  return { sent: true };
+};
+
+let running = false;
+
+// One pass over idle carts. Guest carts have no email address and are
+// never reminded.
+export const runCartReminders = async (now = new Date()) => {
+  if (running) return { checked: 0, sent: 0, skipped: {} };
+  running = true;
+
+  const config = getReminderConfig();
+  const summary = { checked: 0, sent: 0, skipped: {} };
+  try {
+    // Filter on the send limits here too, so carts that are done with
+    // reminders never crowd due ones out of the batch
+    const carts = await Cart.find({
+      user: { $ne: null },
+      'items.0': { $exists: true },
+      lastActivityAt: { $lte: new Date(now.getTime() - config.idleHours * HOUR) },
+      reminders: { $not: { $elemMatch: { sentAt: { $gt: new Date(now.getTime() - config.gapHours * HOUR) } } } },
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: '$reminders', cond: { $gte: ['$$this.sentAt', '$lastActivityAt'] } } } },
+          config.maxReminders
+        ]
+      }
+    })
+      .sort({ lastActivityAt: -1 })
+      .limit(config.batchSize);
+
+    for (const cart of carts) {
+      if (!isReminderDue(cart, config, now)) continue;
+      summary.checked += 1;
+      try {
+        const result = await sendCartReminder(cart, config, now);
+        if (result.sent) {
+          summary.sent += 1;
+        } else {
+          summary.skipped[result.skipped] = (summary.skipped[result.skipped] || 0) + 1;
+        }
+      } catch (error) {
+        console.error(`Error sending cart reminder for cart ${cart._id}:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+  return summary;
+};
+
+// Start the background job when CART_REMINDERS_ENABLED=true
+export const startCartReminders = () => {
+  const config = getReminderConfig();
+  if (!config.enabled) {
+    console.log('Abandoned cart reminders are disabled');
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      const summary = await runCartReminders();
+      if (summary.checked > 0) {
+        console.log('Abandoned cart reminders:', summary);
+      }
+    } catch (error) {
+      console.error('Error running abandoned cart reminders:', error);
+    }
+  }, config.intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`Abandoned cart reminders running every ${config.intervalMinutes} minute(s)`);
+  return timer;
+};
+
+// The latest unconverted reminder for this cart inside the attribution
+// window, if any; an order checked out from the cart now is credited to it
+export const findAttributableReminder = (cart, now = new Date()) => {
+  const { attributionDays } = getReminderConfig();
+  const cutoff = new Date(now.getTime() - attributionDays * 24 * HOUR);
+  const candidates = (cart?.reminders || []).filter(reminder => !reminder.convertedOrder && reminder.sentAt >= cutoff);
+  return candidates[candidates.length - 1] || null;
+};
@@ -0,0 +1,16 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Record an admin action. Pass the request to capture who and from where,
+// and the session when the action is part of a transaction.
+export const recordAudit = async ({ req, actor, action, entityType, entityId, details, session = null }) => {
+  const [entry] = await AuditLog.create([{
+    actor: actor || req?.user?._id,
+    action,
+    entityType,
+    entityId,
+    details,
+    ip: req?.ip,
+    userAgent: req?.get?.('user-agent')
+  }], { session });
+  return entry;
+};
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import { HttpError } from './httpError.js';
+import { buildOrderQuote, getEffectivePrice, FREE_DELIVERY_THRESHOLD } from './orderPricing.js';
+import { snapshotProduct } from './orderItems.js';
+
+const getGuestCartTtlDays = () => parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+// Guest carts travel in the X-Cart-Id header
+export const getGuestCartId = (req) => {
+  const cartId = req.header('X-Cart-Id')?.trim();
+  return cartId || null;
+};
+
+// Record shopper activity, and keep a guest cart alive for another TTL
+// period after each change
+const touchCart = (cart) => {
+  cart.lastActivityAt = new Date();
+  if (!cart.user) {
+    cart.expiresAt = new Date(Date.now() + getGuestCartTtlDays() * 24 * 60 * 60 * 1000);
+  }
+};
+
+// The signed-in user's cart, or the guest cart named in X-Cart-Id. With
+// `create`, a missing cart is started (guests get a fresh cart id).
+export const loadCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (cart || !create) return cart;
+    return new Cart({ user: req.user._id, items: [] });
+  }
+
+  const guestId = getGuestCartId(req);
+  if (guestId) {
+    const cart = await Cart.findOne({ guestId, user: null });
+    if (cart || !create) return cart;
+  }
+  if (!create) return null;
+
+  const cart = new Cart({ guestId: crypto.randomUUID(), items: [] });
+  touchCart(cart);
+  return cart;
+};
+
+// Product (and variant) a cart line points at, with how many can be bought
+const resolveProduct = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.isActive === false) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  let variant = null;
+  if (product.variants && product.variants.length > 0) {
+    variant = product.getVariant(variantId);
+    if (!variant || variant.isActive === false) {
+      throw new HttpError(400, `Please select a valid option for product: ${product.name}`);
+    }
+  }
+
+  return { product, variant, available: variant ? variant.stock : product.stock };
+};
+
+const checkStock = (product, available, quantity) => {
+  if (available < quantity) {
+    throw new HttpError(400, available > 0
+      ? `Only ${available} left in stock for ${product.name}`
+      : `${product.name} is out of stock`, { available });
+  }
+};
+
+export const addCartItem = async (cart, { productId, variantId, quantity }) => {
+  const { product, variant, available } = await resolveProduct(productId, variantId);
+
+  const existing = cart.findItem(product._id, variant?._id);
+  const newQuantity = (existing ? existing.quantity : 0) + quantity;
+  checkStock(product, available, newQuantity);
+
+  if (existing) {
+    existing.quantity = newQuantity;
+  } else {
+    cart.items.push({ product: product._id, variant: variant?._id, quantity });
+  }
+
+  touchCart(cart);
+  await cart.save();
+  return cart;
+};
+
+// Set a line's quantity; zero removes it
+export const updateCartItem = async (cart, itemId, quantity) => {
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new HttpError(404, 'Cart item not found');
+  }
+
+  if (quantity === 0) {
+    item.deleteOne();
+  } else {
+    const { product, available } = await resolveProduct(item.product, item.variant);
+    checkStock(product, available, quantity);
+    item.quantity = quantity;
+  }
+
+  touchCart(cart);
+  await cart.save();
+  return cart;
+};
+
+export const removeCartItem = async (cart, itemId) => {
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new HttpError(404, 'Cart item not found');
+  }
+  item.deleteOne();
+  touchCart(cart);
+  await cart.save();
+  return cart;
+};
+
+export const clearCart = async (cart) => {
+  cart.items = [];
+  touchCart(cart);
+  await cart.save();
+  return cart;
+};
+
+// Move a guest cart into the user's cart after they sign in. Quantities of
+// the same product/variant add up, capped at what is in stock; the guest
+// cart is then deleted.
+export const mergeGuestCart = async (userId, guestId) => {
+  const userCart = await Cart.findOne({ user: userId }) || new Cart({ user: userId, items: [] });
+  const guestCart = guestId ? await Cart.findOne({ guestId, user: null }) : null;
+  if (!guestCart) {
+    return { cart: userCart, merged: 0 };
+  }
+
+  let merged = 0;
+  for (const guestItem of guestCart.items) {
+    const product = await Product.findById(guestItem.product);
+    if (!product || product.isActive === false) continue;
+    const variant = guestItem.variant ? product.getVariant(guestItem.variant) : null;
+    const available = variant ? variant.stock : product.stock;
+
+    const existing = userCart.findItem(guestItem.product, guestItem.variant);
+    const quantity = Math.min((existing ? existing.quantity : 0) + guestItem.quantity, Math.max(available, 1));
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      userCart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        quantity,
+        addedAt: guestItem.addedAt
+      });
+    }
+    merged += 1;
+  }
+
+  touchCart(userCart);
+  await userCart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+  return { cart: userCart, merged };
+};
+
+// Why a cart line can't be bought right now, if anything
+const checkCartLine = (item, product) => {
+  if (!product || product.isActive === false) {
+    return { issue: 'unavailable', message: 'This product is no longer available' };
+  }
+
+  let variant = null;
+  if (product.variants && product.variants.length > 0) {
+    variant = product.getVariant(item.variant);
+    if (!variant || variant.isActive === false) {
+      return { issue: 'unavailable', message: 'This option is no longer available' };
+    }
+  }
+
+  const available = variant ? variant.stock : product.stock;
+  if (available <= 0) {
+    return { variant, available, issue: 'out_of_stock', message: 'Out of stock' };
+  }
+  if (available < item.quantity) {
+    return { variant, available, issue: 'insufficient_stock', message: `Only ${available} left in stock` };
+  }
+  return { variant, available };
+};
+
+// Cart as sent to the storefront: every line re-checked against the live
+// catalogue and priced server-side. Lines with an issue stay in the cart
+// but are left out of the totals, and block checkout until fixed.
+export const priceCart = async (cart) => {
+  const items = cart ? cart.items : [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = items.map(item => {
+    const product = productsById.get(item.product.toString());
+    return { item, product, ...checkCartLine(item, product) };
+  });
+
+  const purchasable = lines.filter(line => !line.issue);
+  const quote = purchasable.length > 0
+    ? await buildOrderQuote(purchasable.map(({ item }) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity
+    })))
+    : null;
+
+  const cartItems = lines.map(line => {
+    const { item, product, variant } = line;
+    const base = {
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      addedAt: item.addedAt,
+      available: line.available ?? 0
+    };
+
+    if (!line.issue) {
+      const quoted = quote.items[purchasable.indexOf(line)];
+      const { taxClass, categories, hsnCode, ...priced } = quoted;
+      return { ...base, ...priced };
+    }
+
+    if (!product) {
+      return { ...base, name: 'Product no longer available', issue: line.issue, message: line.message };
+    }
+
+    // Still show what the line was, priced as it would be today
+    const { unitPrice, listPrice } = getEffectivePrice(product, variant);
+    return {
+      ...base,
+      sku: variant?.sku || product.sku,
+      ...snapshotProduct(product, variant),
+      price: unitPrice,
+      listPrice,
+      issue: line.issue,
+      message: line.message
+    };
+  });
+
+  const issues = cartItems
+    .filter(item => item.issue)
+    .map(item => ({ item: item._id, product: item.product, name: item.name, issue: item.issue, message: item.message }));
+
+  return {
+    cartId: cart && !cart.user ? cart.guestId : null,
+    items: cartItems,
+    itemCount: purchasable.reduce((total, line) => total + line.item.quantity, 0),
+    currency: 'INR',
+    subtotal: quote ? quote.subtotal : 0,
+    discount: quote ? quote.discount : 0,
+    deliveryCharges: quote ? quote.deliveryCharges : 0,
+    freeDeliveryThreshold: FREE_DELIVERY_THRESHOLD,
+    totalAmount: quote ? quote.totalAmount : 0,
+    issues,
+    canCheckout: purchasable.length > 0 && issues.length === 0,
+    updatedAt: cart?.updatedAt
+  };
+};
+
+// Cart lines in the shape POST /api/orders prices
+export const cartToOrderItems = (cart) => cart.items.map(item => ({
+  product: item.product,
+  variant: item.variant,
+  quantity: item.quantity
+}));
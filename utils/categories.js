@@ -0,0 +1,194 @@
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import Collection from '../models/Collection.js';
+import { HttpError } from './httpError.js';
+import { normalizeAttributeDefinitions } from './categoryAttributes.js';
+
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+// "Kurta Sets & Co-ords" -> "kurta-sets-co-ords"
+export const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Every category by id and by slug. The tree is small and read on most
+// storefront requests, so it is cached and dropped whenever an admin
+// changes a category. Other instances (and the migration script) don't
+// drop this copy, so anything that must not be stale, like pricing, asks
+// for a `fresh` read.
+let indexCache = null;
+
+export const invalidateCategoryIndex = () => {
+  indexCache = null;
+};
+
+export const loadCategoryIndex = async ({ fresh = false } = {}) => {
+  if (!fresh && indexCache && Date.now() - indexCache.loadedAt < INDEX_TTL_MS) {
+    return indexCache;
+  }
+  const categories = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+  indexCache = {
+    categories,
+    byId: new Map(categories.map(category => [category._id.toString(), category])),
+    bySlug: new Map(categories.map(category => [category.slug, category])),
+    loadedAt: Date.now()
+  };
+  return indexCache;
+};
+
+// A category by id or slug
+export const findCategory = (index, value) => {
+  if (!value) return null;
+  const key = String(value._id || value);
+  return index.byId.get(key) || index.bySlug.get(key.toLowerCase()) || null;
+};
+
+// Root-first trail down to the category, e.g. Sarees > Silk Sarees
+export const getBreadcrumbs = (index, categoryId) => {
+  const category = findCategory(index, categoryId);
+  if (!category) return [];
+  return [...category.ancestors, category._id]
+    .map(id => index.byId.get(id.toString()))
+    .filter(Boolean)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+// Category fields for a product response. `category` stays the slug the
+// storefront has always filtered on.
+export const describeProductCategory = (index, product) => {
+  const category = findCategory(index, product.category);
+  return {
+    category: category?.slug || null,
+    categoryId: category?._id || product.category || null,
+    breadcrumbs: getBreadcrumbs(index, product.category)
+  };
+};
+
+// Ids for a `category` filter: slugs or ids, comma-separated. Products
+// carry their full category path, so matching these ids also matches
+// everything below them. Unknown values match nothing.
+export const resolveCategoryIds = async (value) => {
+  const index = await loadCategoryIndex();
+  const values = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return values.map(item => findCategory(index, item)?._id).filter(Boolean);
+};
+
+// Point a product at a category (id or slug), keeping its path in step
+export const assignProductCategory = async (product, value) => {
+  // A category just added elsewhere may not be in the cached copy yet
+  const category = findCategory(await loadCategoryIndex(), value) ||
+    findCategory(await loadCategoryIndex({ fresh: true }), value);
+  if (!category) {
+    throw new HttpError(400, `Category not found: ${value}`);
+  }
+  product.category = category._id;
+  product.categoryPath = [...category.ancestors, category._id];
+  return category;
+};
+
+// Nested tree of `categories` (flat, as stored), siblings by sort order
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  const sortNodes = (list) => {
+    list.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+};
+
+// Create or update a category from admin input. Moving a category moves
+// its whole branch and re-files the products under it.
+export const saveCategory = async (category, updates) => {
+  const index = await loadCategoryIndex();
+
+  if (updates.parent !== undefined) {
+    const parent = updates.parent ? findCategory(index, updates.parent) : null;
+    if (updates.parent && !parent) {
+      throw new HttpError(400, 'Parent category not found');
+    }
+    if (parent && !category.isNew) {
+      const isOwnBranch = parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id));
+      if (isOwnBranch) {
+        throw new HttpError(400, 'A category cannot be moved under itself');
+      }
+    }
+    category.parent = parent?._id || null;
+    category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    if (category.isNew && !updates.taxClass && parent) {
+      category.taxClass = parent.taxClass;
+    }
+  }
+
+  const fields = { ...updates };
+  delete fields.parent;
+  if (updates.attributes !== undefined) {
+    fields.attributes = normalizeAttributeDefinitions(updates.attributes);
+  }
+  Object.assign(category, fields);
+  if (updates.slug !== undefined || category.isNew) {
+    category.slug = slugify(updates.slug || category.slug || category.name);
+  }
+  if (!category.slug) {
+    throw new HttpError(400, 'Category slug is required');
+  }
+  const clash = index.bySlug.get(category.slug);
+  if (clash && !clash._id.equals(category._id)) {
+    throw new HttpError(400, `Another category already uses the slug "${category.slug}"`);
+  }
+
+  const moved = !category.isNew && category.isModified('ancestors');
+  await category.save();
+
+  if (moved) {
+    // Descendants keep their place under this category but get its new
+    // ancestors, then every product in the branch gets its new path
+    const descendants = await Category.find({ ancestors: category._id });
+    for (const descendant of descendants) {
+      const position = descendant.ancestors.findIndex(id => id.equals(category._id));
+      descendant.ancestors = [...category.ancestors, ...descendant.ancestors.slice(position)];
+      await descendant.save();
+    }
+    for (const node of [category, ...descendants]) {
+      await Product.updateMany(
+        { category: node._id },
+        { $set: { categoryPath: [...node.ancestors, node._id] } }
+      );
+    }
+  }
+
+  invalidateCategoryIndex();
+  return category;
+};
+
+// Delete an empty category. Subcategories, products or collection rules
+// still using it have to be moved first.
+export const deleteCategory = async (categoryId) => {
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    throw new HttpError(404, 'Category not found');
+  }
+
+  const [children, products, collections] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ category: category._id }),
+    Collection.countDocuments({ 'rules.categories': category._id })
+  ]);
+  if (children > 0 || products > 0 || collections > 0) {
+    throw new HttpError(400, 'Category is still in use', { children, products, collections });
+  }
+
+  await category.deleteOne();
+  invalidateCategoryIndex();
+  return category;
+};
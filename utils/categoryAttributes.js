@@ -0,0 +1,208 @@
+import Category from '../models/Category.js';
+import { HttpError } from './httpError.js';
+
+// Attribute sets drive which specifications a product may have, how they
+// are checked and which of them the storefront can filter on. A category
+// inherits its ancestors' attributes and may redefine one by reusing its
+// key. Categories nobody has configured yet use the original fixed set.
+
+export const ATTRIBUTE_TYPES = Category.schema.path('attributes').schema.path('type').enumValues;
+
+export const DEFAULT_ATTRIBUTES = [
+  { key: 'material', label: 'Material', type: 'text', required: false, values: [], filterable: true },
+  { key: 'color', label: 'Color', type: 'text', required: false, values: [], filterable: true },
+  { key: 'sareeType', label: 'Saree Type', type: 'text', required: false, values: [], filterable: true },
+  { key: 'occasion', label: 'Occasion', type: 'text', required: false, values: [], filterable: true },
+  { key: 'pattern', label: 'Pattern', type: 'text', required: false, values: [], filterable: true }
+];
+
+// Placeholder the old admin form stored for blank fields
+const NOT_SPECIFIED = 'Not specified';
+
+// Keys that would clash with search parameters or the other facets
+const RESERVED_KEYS = [
+  'q', 'category', 'sort', 'limit', 'cursor', 'page', 'fields', 'envelope',
+  'minPrice', 'maxPrice', 'minRating', 'inStock', 'price', 'rating', 'attributes'
+];
+
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9]{0,39}$/;
+
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && (value.trim() === '' || value.trim() === NOT_SPECIFIED));
+
+// Check and tidy an admin-supplied attribute list for a category
+export const normalizeAttributeDefinitions = (attributes) => {
+  if (!Array.isArray(attributes)) {
+    throw new HttpError(400, 'Attributes must be an array');
+  }
+
+  const keys = new Set();
+  return attributes.map((attribute, position) => {
+    const key = String(attribute?.key || '').trim();
+    const label = String(attribute?.label || '').trim() || key;
+    const type = attribute?.type;
+    const where = `Attribute ${position + 1}`;
+
+    if (!KEY_PATTERN.test(key)) {
+      throw new HttpError(400, `${where}: key must start with a lowercase letter and use only letters and numbers`);
+    }
+    if (RESERVED_KEYS.includes(key)) {
+      throw new HttpError(400, `${where}: "${key}" is reserved`);
+    }
+    if (keys.has(key)) {
+      throw new HttpError(400, `${where}: duplicate key "${key}"`);
+    }
+    keys.add(key);
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      throw new HttpError(400, `${where}: type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+
+    const values = type === 'enum'
+      ? [...new Set((attribute.values || []).map(value => String(value).trim()).filter(Boolean))]
+      : [];
+    if (type === 'enum' && values.length === 0) {
+      throw new HttpError(400, `${where}: an enum attribute needs at least one allowed value`);
+    }
+
+    return {
+      key,
+      label,
+      type,
+      required: attribute.required === true || attribute.required === 'true',
+      values,
+      unit: type === 'number' && attribute.unit ? String(attribute.unit).trim() : undefined,
+      filterable: attribute.filterable !== false && attribute.filterable !== 'false'
+    };
+  });
+};
+
+// Effective attributes for a category: its ancestors' first, then its own
+export const getCategoryAttributes = (index, categoryId) => {
+  const category = categoryId ? index.byId.get(String(categoryId._id || categoryId)) : null;
+  if (!category) return DEFAULT_ATTRIBUTES;
+
+  const byKey = new Map();
+  for (const id of [...category.ancestors, category._id]) {
+    for (const attribute of index.byId.get(id.toString())?.attributes || []) {
+      byKey.set(attribute.key, attribute);
+    }
+  }
+  return byKey.size > 0 ? [...byKey.values()] : DEFAULT_ATTRIBUTES;
+};
+
+// Every attribute used by any of `categoryIds` (all categories when empty),
+// first definition of a key winning
+export const collectAttributes = (index, categoryIds = []) => {
+  const ids = categoryIds.length > 0 ? categoryIds : index.categories.map(category => category._id);
+  const byKey = new Map();
+  for (const id of ids) {
+    for (const attribute of getCategoryAttributes(index, id)) {
+      if (!byKey.has(attribute.key)) byKey.set(attribute.key, attribute);
+    }
+  }
+  if (byKey.size === 0) DEFAULT_ATTRIBUTES.forEach(attribute => byKey.set(attribute.key, attribute));
+  return [...byKey.values()];
+};
+
+// Value cast to the attribute's type, or an error message
+const castValue = (attribute, value) => {
+  switch (attribute.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? { value: number } : { error: `${attribute.label} must be a number` };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${attribute.label} must be true or false` };
+    case 'enum': {
+      const match = attribute.values.find(allowed => allowed.toLowerCase() === String(value).trim().toLowerCase());
+      return match ? { value: match } : { error: `${attribute.label} must be one of: ${attribute.values.join(', ')}` };
+    }
+    default:
+      return { value: String(value).trim() };
+  }
+};
+
+// Specifications for a product from admin input, checked against its
+// category's attributes. Attributes missing from `input` keep their value
+// from `current`; values for attributes the category doesn't have are
+// rejected, and old ones no longer defined are dropped.
+export const buildSpecifications = (attributes, input = {}, current = {}) => {
+  const plainCurrent = current instanceof Map ? Object.fromEntries(current) : current || {};
+  const errors = [];
+
+  for (const key of Object.keys(input)) {
+    if (!attributes.some(attribute => attribute.key === key) && !isBlank(input[key])) {
+      errors.push({ path: `specifications.${key}`, msg: `Unknown attribute "${key}" for this category` });
+    }
+  }
+
+  const specifications = {};
+  for (const attribute of attributes) {
+    const raw = Object.prototype.hasOwnProperty.call(input, attribute.key) ? input[attribute.key] : plainCurrent[attribute.key];
+    if (isBlank(raw)) {
+      if (attribute.required) {
+        errors.push({ path: `specifications.${attribute.key}`, msg: `${attribute.label} is required` });
+      }
+      continue;
+    }
+    const { value, error } = castValue(attribute, raw);
+    if (error) {
+      errors.push({ path: `specifications.${attribute.key}`, msg: error });
+    } else {
+      specifications[attribute.key] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Validation failed', { errors });
+  }
+  return specifications;
+};
+
+// Specifications as shown to shoppers, in the category's attribute order.
+// The storefront expects the original five keys on every product, so any
+// of those without a value are still sent as "Not specified".
+export const presentSpecifications = (attributes, specifications) => {
+  const plain = specifications instanceof Map ? Object.fromEntries(specifications) : specifications || {};
+  const presented = Object.fromEntries(attributes
+    .filter(attribute => !isBlank(plain[attribute.key]))
+    .map(attribute => [attribute.key, plain[attribute.key]]));
+  for (const { key } of DEFAULT_ATTRIBUTES) {
+    if (!(key in presented)) presented[key] = NOT_SPECIFIED;
+  }
+  return presented;
+};
+
+// Query conditions for attribute filters in a query string. Lists match any
+// value ("color=Red,Maroon"); numbers also take ranges ("length[gte]=5").
+export const parseAttributeFilters = (attributes, query = {}) => {
+  const filters = {};
+  for (const attribute of attributes) {
+    const raw = query[attribute.key];
+    if (raw === undefined || raw === null || raw === '' || attribute.filterable === false) continue;
+    const path = `specifications.${attribute.key}`;
+
+    if (attribute.type === 'number') {
+      const condition = {};
+      if (typeof raw === 'object' && !Array.isArray(raw)) {
+        for (const operator of ['gt', 'gte', 'lt', 'lte']) {
+          const number = Number(raw[operator]);
+          if (raw[operator] !== undefined && Number.isFinite(number)) condition[`$${operator}`] = number;
+        }
+      } else if (Number.isFinite(Number(raw))) {
+        condition.$eq = Number(raw);
+      }
+      if (Object.keys(condition).length > 0) filters[attribute.key] = { [path]: condition };
+    } else if (attribute.type === 'boolean') {
+      if (raw === 'true' || raw === 'false') filters[attribute.key] = { [path]: raw === 'true' };
+    } else {
+      const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+      if (values.length > 0) filters[attribute.key] = { [path]: { $in: values } };
+    }
+  }
+  return filters;
+};
@@ -0,0 +1,131 @@
+import Collection from '../models/Collection.js';
+import Product from '../models/Product.js';
+import { HttpError } from './httpError.js';
+import { slugify, loadCategoryIndex } from './categories.js';
+import { collectAttributes } from './categoryAttributes.js';
+import { findList } from './listQuery.js';
+
+export const COLLECTION_SORTS = {
+  newest: [['createdAt', -1]],
+  price_asc: [['price', 1]],
+  price_desc: [['price', -1]],
+  popularity: [['totalReviews', -1], ['averageRating', -1]]
+};
+
+// Visible to shoppers: active and inside its date window, if it has one
+export const isCollectionLive = (collection, now = new Date()) => collection.isActive !== false &&
+  (!collection.startsAt || collection.startsAt <= now) &&
+  (!collection.endsAt || collection.endsAt >= now);
+
+export const liveCollectionsQuery = (now = new Date()) => ({
+  isActive: { $ne: false },
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+  ]
+});
+
+// Product query for a rule collection. Every rule that is set must match.
+export const buildRuleFilter = (rules = {}, now = new Date()) => {
+  const conditions = [];
+  if (rules.categories?.length > 0) {
+    conditions.push({ categoryPath: { $in: rules.categories } });
+  }
+  if (rules.minPrice !== undefined && rules.minPrice !== null) {
+    conditions.push({ price: { $gte: rules.minPrice } });
+  }
+  if (rules.maxPrice !== undefined && rules.maxPrice !== null) {
+    conditions.push({ price: { $lte: rules.maxPrice } });
+  }
+  const specifications = rules.specifications instanceof Map
+    ? Object.fromEntries(rules.specifications)
+    : rules.specifications || {};
+  for (const [field, values] of Object.entries(specifications)) {
+    if (values?.length > 0) conditions.push({ [`specifications.${field}`]: { $in: values } });
+  }
+  if (rules.inStockOnly) {
+    conditions.push({ stock: { $gt: 0 } });
+  }
+  if (rules.onSale) {
+    conditions.push({
+      $or: [
+        { discountPercentage: { $gt: 0 } },
+        { $expr: { $gt: ['$originalPrice', '$price'] } }
+      ]
+    });
+  }
+  if (rules.newWithinDays > 0) {
+    conditions.push({ createdAt: { $gte: new Date(now.getTime() - rules.newWithinDays * 24 * 60 * 60 * 1000) } });
+  }
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Manual collections in their curated order, a page at a time
+const findManualPage = async (collection, list) => {
+  const active = await Product.find({ _id: { $in: collection.products }, isActive: { $ne: false } }).select('_id');
+  const activeIds = new Set(active.map(product => product._id.toString()));
+  const ids = collection.products.filter(id => activeIds.has(id.toString()));
+
+  const page = list.page || 1;
+  const pageIds = list.paginate ? ids.slice((page - 1) * list.limit, page * list.limit) : ids;
+  const products = await Product.find({ _id: { $in: pageIds } });
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  return {
+    data: pageIds.map(id => byId.get(id.toString())).filter(Boolean),
+    pageInfo: {
+      limit: list.limit,
+      page,
+      total: ids.length,
+      totalPages: Math.ceil(ids.length / list.limit),
+      hasNextPage: list.paginate && page * list.limit < ids.length,
+      nextCursor: null
+    }
+  };
+};
+
+// Products in a collection. `list` comes from parseListQuery; a collection
+// without a chosen sort uses its own default, and "featured" keeps a manual
+// collection's curated order (page paging only).
+export const findCollectionProducts = (collection, list) => {
+  if (list.sortName === 'featured' && collection.type === 'manual') {
+    return findManualPage(collection, list);
+  }
+  if (list.sortName === 'featured') {
+    list = { ...list, sortName: 'newest', sortKeys: COLLECTION_SORTS.newest };
+  }
+
+  const base = collection.type === 'manual'
+    ? { _id: { $in: collection.products } }
+    : buildRuleFilter(collection.rules);
+  return findList(Product, { $and: [{ isActive: { $ne: false } }, base] }, list);
+};
+
+// Check and normalise admin input for a collection
+export const prepareCollection = async (collection, updates) => {
+  Object.assign(collection, updates);
+  if (updates.slug !== undefined || collection.isNew) {
+    collection.slug = slugify(updates.slug || collection.slug || collection.name);
+  }
+  if (!collection.slug) {
+    throw new HttpError(400, 'Collection slug is required');
+  }
+
+  const clash = await Collection.findOne({ slug: collection.slug, _id: { $ne: collection._id } }).select('_id');
+  if (clash) {
+    throw new HttpError(400, `Another collection already uses the slug "${collection.slug}"`);
+  }
+
+  // Rules may use any attribute of the categories they cover
+  const specifications = collection.rules?.specifications;
+  const attributes = collectAttributes(await loadCategoryIndex(), collection.rules?.categories || []);
+  for (const field of specifications ? specifications.keys() : []) {
+    if (!attributes.some(attribute => attribute.key === field)) {
+      throw new HttpError(400, `Unknown specification in rules: ${field}`);
+    }
+  }
+  if (collection.type === 'rule' && Object.keys(buildRuleFilter(collection.rules)).length === 0) {
+    throw new HttpError(400, 'A rule collection needs at least one rule');
+  }
+  return collection;
+};
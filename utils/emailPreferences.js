@@ -0,0 +1,37 @@
+import jwt from 'jsonwebtoken';
+
+// Optional emails a user can turn off; each is a flag under
+// User.emailPreferences
+export const EMAIL_LISTS = ['cartReminders', 'wishlistAlerts'];
+
+export const getStorefrontUrl = () => (process.env.STOREFRONT_URL || 'https://parnikasilks.vercel.app').replace(/\/$/, '');
+
+export const isSubscribed = (user, list) => user.emailPreferences?.[list] !== false;
+
+// One-click unsubscribe link for the footer of an optional email
+export const buildUnsubscribeUrl = (user, list) => {
+  const token = jwt.sign({ unsubscribe: list, user: user._id.toString() }, process.env.JWT_SECRET);
+  return `${process.env.PUBLIC_API_URL || ''}/api/users/unsubscribe?token=${token}`;
+};
+
+// List names used by links in emails sent before preferences were grouped
+const LEGACY_LISTS = { cart_reminders: 'cartReminders' };
+
+// { user, list } from an unsubscribe link, or null when the token is bad
+export const readUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const list = LEGACY_LISTS[decoded.unsubscribe] || decoded.unsubscribe;
+    return EMAIL_LISTS.includes(list) ? { user: decoded.user, list } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Profile update fields for any email preferences sent in a request body
+export const buildPreferenceUpdate = (emailPreferences) => EMAIL_LISTS.reduce((update, list) => {
+  if (emailPreferences?.[list] !== undefined) {
+    update[`emailPreferences.${list}`] = emailPreferences[list] === true || emailPreferences[list] === 'true';
+  }
+  return update;
+}, {});
@@ -83,6 +83,49 @@ export const sendEmail = async ({ to, subject, html }) => {
   }
 };
 
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Items, totals and GST split for order emails
+const renderOrderSummary = (order) => `
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+    <tr style="background-color: #f8f9fa;">
+      <th style="text-align: left; padding: 8px;">Item</th>
+      <th style="text-align: center; padding: 8px;">Qty</th>
+      <th style="text-align: right; padding: 8px;">Amount</th>
+    </tr>
+    ${order.items.map(item => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${item.name || 'Product'}${item.hsnCode ? `<br><span style="color: #666; font-size: 12px;">HSN ${item.hsnCode} · GST ${item.taxRate}%</span>` : ''}</td>
+        <td style="text-align: center; padding: 8px; border-bottom: 1px solid #eee;">${item.quantity}</td>
+        <td style="text-align: right; padding: 8px; border-bottom: 1px solid #eee;">${formatAmount(item.price * item.quantity)}</td>
+      </tr>
+    `).join('')}
+  </table>
+  <table style="width: 100%; font-size: 14px;">
+    <tr><td>Subtotal</td><td style="text-align: right;">${formatAmount(order.subtotal)}</td></tr>
+    ${order.discountTotal > 0 ? `<tr><td>Discounts</td><td style="text-align: right;">-${formatAmount(order.discountTotal)}</td></tr>` : ''}
+    <tr><td>Delivery Charges</td><td style="text-align: right;">${order.deliveryCharges > 0 ? formatAmount(order.deliveryCharges) : 'FREE'}</td></tr>
+    <tr><td><strong>Total</strong></td><td style="text-align: right;"><strong>${formatAmount(order.totalAmount)}</strong></td></tr>
+  </table>
+  ${order.tax?.totalTax !== undefined ? `
+    <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px; font-size: 13px;">
+      <p style="margin: 0 0 10px;">Prices include GST. Taxable value: ${formatAmount(order.tax.taxableValue)}</p>
+      ${order.tax.supplyType === 'inter_state'
+        ? `<p style="margin: 0;">IGST: ${formatAmount(order.tax.igst)}</p>`
+        : `<p style="margin: 0;">CGST: ${formatAmount(order.tax.cgst)} · SGST: ${formatAmount(order.tax.sgst)}</p>`}
+    </div>
+  ` : ''}
+`;
+
+// Product images are GridFS ids served by the API; emails need full URLs
+const imageUrl = (image) => {
+  if (!image) return null;
+  const value = String(image);
+  if (/^https?:\/\//.test(value)) return value;
+  if (value.startsWith('/')) return `${process.env.PUBLIC_API_URL || ''}${value}`;
+  return `${process.env.PUBLIC_API_URL || ''}/api/admin/images/${value}`;
+};
+
 // Email templates with consistent branding
 export const emailTemplates = {
   welcome: (name) => `
@@ -100,15 +143,16 @@ export const emailTemplates = {
       </div>
     </div>
   `,
-  orderConfirmation: (name, trackingNumber) => `
+  orderConfirmation: (name, orderNumber, order) => `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
       <div style="text-align: center; margin-bottom: 20px;">
         <h1 style="color: #e83e8c;">Order Confirmation</h1>
       </div>
       <p>Dear ${name},</p>
       <p>Thank you for your order with Parnika Silks!</p>
-      <p>Your tracking number is: <strong>${trackingNumber}</strong></p>
-      <p>We will process your order and keep you updated on its status. You can track your order using the tracking number above.</p>
+      <p>Your order number is: <strong>${orderNumber}</strong></p>
+      ${order ? renderOrderSummary(order) : ''}
+      <p>We will process your order and keep you updated on its status. Please quote the order number above if you contact us about this order.</p>
       <p>Best regards,<br>Parnika Silks Team</p>
       <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
         <p>This email was sent from Parnika Silks Official</p>
@@ -116,13 +160,13 @@ export const emailTemplates = {
       </div>
     </div>
   `,
-  orderStatusUpdate: (name, trackingNumber, status) => `
+  orderStatusUpdate: (name, orderNumber, status) => `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
       <div style="text-align: center; margin-bottom: 20px;">
         <h1 style="color: #e83e8c;">Order Status Update</h1>
       </div>
       <p>Dear ${name},</p>
-      <p>Your order (Tracking Number: <strong>${trackingNumber}</strong>) has been updated.</p>
+      <p>Your order (Order Number: <strong>${orderNumber}</strong>) has been updated.</p>
       <p>Current Status: <strong style="color: #e83e8c;">${status.toUpperCase()}</strong></p>
       <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px;">
         <p style="margin: 0;">Status Description:</p>
@@ -132,6 +176,7 @@ export const emailTemplates = {
           ${status === 'shipped' ? '<li>Your order has been shipped and is on its way!</li>' : ''}
           ${status === 'delivered' ? '<li>Your order has been delivered successfully.</li>' : ''}
           ${status === 'cancelled' ? '<li>Your order has been cancelled.</li>' : ''}
+          ${status === 'returned' ? '<li>Your order has been returned to us.</li>' : ''}
         </ul>
       </div>
       <p>Best regards,<br>Parnika Silks Team</p>
@@ -141,6 +186,188 @@ export const emailTemplates = {
       </div>
     </div>
   `,
+  returnUpdate: (name, orderNumber, returnRequest, note) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">${returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} Request Update</h1>
+      </div>
+      <p>Dear ${name},</p>
+      <p>Your ${returnRequest.type} request for order (Order Number: <strong>${orderNumber}</strong>) has been updated.</p>
+      <p>Current Status: <strong style="color: #e83e8c;">${returnRequest.status.replace(/_/g, ' ').toUpperCase()}</strong></p>
+      <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px;">
+        <p style="margin: 0;">
+          ${returnRequest.status === 'requested' ? 'We have received your request and will review it shortly.' : ''}
+          ${returnRequest.status === 'approved' ? 'Your request has been approved. We will arrange a pickup soon.' : ''}
+          ${returnRequest.status === 'rejected' ? `Unfortunately we could not accept your request.${returnRequest.rejectionReason ? ` Reason: ${returnRequest.rejectionReason}` : ''}` : ''}
+          ${returnRequest.status === 'pickup_scheduled' ? `A pickup has been scheduled${returnRequest.pickup?.scheduledFor ? ` for ${new Date(returnRequest.pickup.scheduledFor).toLocaleDateString('en-IN')}` : ''}. Please keep the items packed with their tags.` : ''}
+          ${returnRequest.status === 'received' ? 'We have received your items and are checking them.' : ''}
+          ${returnRequest.status === 'qc_failed' ? 'Your items did not pass our quality check, so we are unable to accept this return.' : ''}
+          ${returnRequest.status === 'refund_initiated' ? `Your items passed our quality check. A refund of ₹${(returnRequest.refundAmount || 0).toLocaleString()} has been initiated.` : ''}
+          ${returnRequest.status === 'refunded' ? `Your refund of ₹${(returnRequest.refundAmount || 0).toLocaleString()} has been processed.` : ''}
+          ${returnRequest.status === 'replaced' ? 'Your items passed our quality check. Your replacement is on its way.' : ''}
+        </p>
+        ${note ? `<p style="margin: 10px 0 0;">Note: ${note}</p>` : ''}
+      </div>
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>For any queries, please contact us at ${SENDER_EMAIL}</p>
+      </div>
+    </div>
+  `,
+  refundUpdate: (name, orderNumber, refund) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">Refund Update</h1>
+      </div>
+      <p>Dear ${name},</p>
+      <p>Your refund of <strong>${formatAmount(refund.amount)}</strong> for order (Order Number: <strong>${orderNumber}</strong>) has been updated.</p>
+      <p>Current Status: <strong style="color: #e83e8c;">${refund.status.toUpperCase()}</strong></p>
+      <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px;">
+        <p style="margin: 0;">
+          ${refund.status === 'requested' ? 'We have received your refund request and will review it shortly.' : ''}
+          ${refund.status === 'approved' ? 'Your refund has been approved and will be paid out soon.' : ''}
+          ${refund.status === 'processed' ? (refund.method === 'store_credit' ? 'The amount has been added to your store credit.' : `The amount has been paid out.${refund.reference ? ` Reference: ${refund.reference}` : ''}`) : ''}
+          ${refund.status === 'failed' ? `We could not complete your refund.${refund.failureReason ? ` Reason: ${refund.failureReason}` : ''} Our team will contact you.` : ''}
+        </p>
+      </div>
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>For any queries, please contact us at ${SENDER_EMAIL}</p>
+      </div>
+    </div>
+  `,
+  paymentProofUpdate: (name, orderNumber, order) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">${order.paymentProof.status === 'verified' ? 'Payment Received' : 'Payment Not Verified'}</h1>
+      </div>
+      <p>Dear ${name},</p>
+      ${order.paymentProof.status === 'verified' ? `
+        <p>We have verified your payment of <strong>${formatAmount(order.totalAmount)}</strong> (UTR: ${order.paymentProof.utr}) for order (Order Number: <strong>${orderNumber}</strong>).</p>
+        <p>Your order is now being processed.</p>
+      ` : `
+        <p>We could not verify the payment you submitted (UTR: ${order.paymentProof.utr}) for order (Order Number: <strong>${orderNumber}</strong>).</p>
+        <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px;">
+          <p style="margin: 0;">Reason: ${order.paymentProof.rejectionReason}</p>
+        </div>
+        <p>Please check the details and submit the correct UTR from your order page.</p>
+      `}
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>For any queries, please contact us at ${SENDER_EMAIL}</p>
+      </div>
+    </div>
+  `,
+  orderOtp: (name, otp, purpose, minutes) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">Your Verification Code</h1>
+      </div>
+      <p>Dear ${name},</p>
+      <p>${purpose === 'order_claim'
+        ? 'Use the following code to add the orders you placed as a guest to your account:'
+        : 'Use the following code to view your order:'}</p>
+      <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px; text-align: center;">
+        <h2 style="color: #e83e8c; margin: 0;">${otp}</h2>
+      </div>
+      <p>This code will expire in ${minutes} minutes.</p>
+      <p>If you didn't request this code, please ignore this email.</p>
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>For any queries, please contact us at ${SENDER_EMAIL}</p>
+      </div>
+    </div>
+  `,
+  cartReminder: (name, items, { resumeUrl, unsubscribeUrl, coupon }) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">You Left Something Behind</h1>
+      </div>
+      <p>Dear ${name},</p>
+      <p>The items in your cart are still waiting for you, but stock is limited.</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+        ${items.map(item => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; width: 90px;">
+              ${imageUrl(item.image) ? `<img src="${imageUrl(item.image)}" alt="${item.name}" width="80" style="border-radius: 4px;">` : ''}
+            </td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${item.name}${item.quantity > 1 ? ` × ${item.quantity}` : ''}</td>
+            <td style="text-align: right; padding: 8px; border-bottom: 1px solid #eee;">${formatAmount(item.lineTotal)}</td>
+          </tr>
+        `).join('')}
+      </table>
+      ${coupon ? `
+        <div style="margin: 20px 0; padding: 15px; background-color: #f8f9fa; border-radius: 5px; text-align: center;">
+          <p style="margin: 0 0 10px;">Complete your order with ${coupon.value}% off using code</p>
+          <h2 style="color: #e83e8c; margin: 0;">${coupon.code}</h2>
+          ${coupon.endsAt ? `<p style="margin: 10px 0 0; font-size: 12px; color: #666;">Valid until ${new Date(coupon.endsAt).toLocaleString('en-IN')}</p>` : ''}
+        </div>
+      ` : ''}
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${resumeUrl}" style="background-color: #e83e8c; color: #ffffff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Return to your cart</a>
+      </div>
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>Don't want these reminders? <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe</a></p>
+      </div>
+    </div>
+  `,
+  wishlistAlert: (name, alerts, { unsubscribeUrl }) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">Good News From Your Wishlist</h1>
+      </div>
+      <p>Dear ${name},</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+        ${alerts.map(alert => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; width: 90px;">
+              ${imageUrl(alert.image) ? `<img src="${imageUrl(alert.image)}" alt="${alert.name}" width="80" style="border-radius: 4px;">` : ''}
+            </td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">
+              <a href="${alert.url}" style="color: #333;">${alert.name}</a><br>
+              ${alert.type === 'back_in_stock'
+                ? `<span style="color: #28a745;">Back in stock</span> at ${formatAmount(alert.newPrice)}`
+                : `<span style="color: #e83e8c;">Price dropped</span> from <s>${formatAmount(alert.oldPrice)}</s> to <strong>${formatAmount(alert.newPrice)}</strong>`}
+            </td>
+          </tr>
+        `).join('')}
+      </table>
+      <p>Stock is limited, so don't wait too long.</p>
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>Don't want wishlist alerts? <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe</a></p>
+      </div>
+    </div>
+  `,
+  backInStock: (name, product) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #e83e8c;">It's Back in Stock</h1>
+      </div>
+      <p>Dear ${name},</p>
+      <p>You asked us to let you know when this was available again. It's back, but only in limited numbers.</p>
+      <div style="text-align: center; margin: 20px 0;">
+        ${imageUrl(product.image) ? `<img src="${imageUrl(product.image)}" alt="${product.name}" width="200" style="border-radius: 4px;">` : ''}
+        <h3 style="margin: 10px 0 5px;">${product.name}</h3>
+        <p style="margin: 0;">${formatAmount(product.price)}</p>
+      </div>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${product.url}" style="background-color: #e83e8c; color: #ffffff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Shop now</a>
+      </div>
+      <p>Best regards,<br>Parnika Silks Team</p>
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #666; font-size: 12px;">
+        <p>This email was sent from Parnika Silks Official</p>
+        <p>You're receiving this one-time email because you asked to be notified about this product.</p>
+      </div>
+    </div>
+  `,
   forgotPassword: (name, otp) => `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
       <div style="text-align: center; margin-bottom: 20px;">
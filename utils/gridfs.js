@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { ObjectId, GridFSBucket } from 'mongodb';
+
+// All uploads (product images, invoices, ...) share the `uploads` bucket
+export const getBucket = () => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+  return new GridFSBucket(db, { bucketName: 'uploads' });
+};
+
+// Store a buffer in GridFS and resolve with its file id. Pass `id` to
+// choose the id up front (e.g. one already recorded on a document).
+export const uploadBuffer = (buffer, filename, { contentType, metadata, id } = {}) => {
+  const bucket = getBucket();
+  const options = { contentType, metadata };
+  const uploadStream = id
+    ? bucket.openUploadStreamWithId(new ObjectId(id), filename, options)
+    : bucket.openUploadStream(filename, options);
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error('File upload timeout'));
+    }, 30000); // 30 second timeout
+
+    uploadStream.on('finish', () => {
+      clearTimeout(timeout);
+      resolve(uploadStream.id);
+    });
+    uploadStream.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    uploadStream.end(buffer);
+  });
+};
+
+// Store an uploaded multer file under a sanitised, timestamped name
+export const uploadFile = (file, { metadata } = {}) => {
+  // Sanitize filename to prevent path traversal
+  const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+  return uploadBuffer(file.buffer, `${Date.now()}_${sanitizedFilename}`, {
+    contentType: file.mimetype,
+    metadata
+  });
+};
+
+export const fileExists = async (id) => {
+  const file = await mongoose.connection.db.collection('uploads.files').findOne({ _id: new ObjectId(id) });
+  return !!file;
+};
+
+export const openDownloadStream = (id) => getBucket().openDownloadStream(new ObjectId(id));
+
+export const readBuffer = (id) => new Promise((resolve, reject) => {
+  const chunks = [];
+  openDownloadStream(id)
+    .on('data', chunk => chunks.push(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(Buffer.concat(chunks)));
+});
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Order from '../models/Order.js';
+import OrderOtp from '../models/OrderOtp.js';
+import Refund from '../models/Refund.js';
+import User from '../models/User.js';
+import { HttpError } from './httpError.js';
+import { sendEmail, emailTemplates } from './emailService.js';
+import { buildOrderLookup } from './orderNumbers.js';
+
+const OTP_TTL_MINUTES = 10;
+const MAX_OTP_ATTEMPTS = 5;
+// Codes sent before the address has to go quiet until the last one expires
+const MAX_OTP_SENDS = 5;
+const OTP_RESEND_SECONDS = 60;
+
+const getGuestTokenTtl = () => process.env.GUEST_ORDER_TOKEN_TTL || '7d';
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Token a guest uses in place of a login to reach one order (view it, pay
+// for it, upload a payment proof)
+export const issueGuestOrderToken = (order) => jwt.sign(
+  { guestOrder: order._id.toString() },
+  process.env.JWT_SECRET,
+  { expiresIn: getGuestTokenTtl() }
+);
+
+// Whether the request's user, or its guest token, may act on this order
+export const ownsOrder = (req, order) => {
+  if (req.guestOrderId) {
+    return order._id.toString() === req.guestOrderId;
+  }
+  if (!req.user || !order.user) return false;
+  const orderUserId = order.user._id ? order.user._id.toString() : order.user.toString();
+  return orderUserId === req.user._id.toString();
+};
+
+// Who to email about an order: the account holder, or the guest
+export const getOrderContact = async (order) => {
+  if (order.user) {
+    const user = order.user.email ? order.user : await User.findById(order.user).select('name email');
+    if (user) return { name: user.name, email: user.email };
+  }
+  return {
+    name: order.guest?.name || order.shippingAddress?.fullName || 'Customer',
+    email: order.guest?.email
+  };
+};
+
+// Email a fresh code, replacing any earlier one for the same purpose. A
+// resend keeps the wrong guesses already made, and resends are limited, so
+// asking for new codes doesn't buy more guesses.
+const sendOtp = async ({ email, name, purpose, order = null }) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+  let otp = await OrderOtp.findOne({ email, purpose, order, expiresAt: { $gt: now } });
+  if (otp) {
+    if (otp.sends >= MAX_OTP_SENDS || otp.attempts >= MAX_OTP_ATTEMPTS) {
+      throw new HttpError(429, 'Too many verification codes requested. Please try again later.');
+    }
+    const sentAt = otp.expiresAt.getTime() - OTP_TTL_MINUTES * 60 * 1000;
+    if (now.getTime() - sentAt < OTP_RESEND_SECONDS * 1000) {
+      throw new HttpError(429, 'Please wait a minute before requesting another code');
+    }
+    // Conditional on the send count, so two requests at once send one code
+    otp = await OrderOtp.findOneAndUpdate(
+      { _id: otp._id, sends: otp.sends },
+      { $set: { codeHash: hashCode(code), expiresAt }, $inc: { sends: 1 } },
+      { new: true }
+    );
+    if (!otp) {
+      throw new HttpError(429, 'Please wait a minute before requesting another code');
+    }
+  } else {
+    await OrderOtp.deleteMany({ email, purpose, order });
+    otp = await OrderOtp.create({ email, purpose, order, codeHash: hashCode(code), expiresAt });
+  }
+
+  const emailResult = await sendEmail({
+    to: email,
+    subject: 'Your Verification Code - Parnika Silks',
+    html: emailTemplates.orderOtp(name, code, purpose, OTP_TTL_MINUTES)
+  });
+  if (!emailResult.success) {
+    if (otp.sends === 1) await OrderOtp.deleteOne({ _id: otp._id });
+    throw new HttpError(500, 'Failed to send the verification code. Please try again later.');
+  }
+};
+
+// Use up a code. Each guess takes an attempt atomically before the code is
+// compared, so parallel guesses can't get past the limit.
+const consumeOtp = async ({ email, purpose, order = null, code }) => {
+  const otp = await OrderOtp.findOneAndUpdate(
+    { email, purpose, order, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_OTP_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) {
+    const exhausted = await OrderOtp.exists({ email, purpose, order, expiresAt: { $gt: new Date() } });
+    if (exhausted) {
+      throw new HttpError(429, 'Too many incorrect attempts. Please try again later.');
+    }
+    throw new HttpError(400, 'Invalid or expired code');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const received = Buffer.from(hashCode(code), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    if (otp.attempts >= MAX_OTP_ATTEMPTS) {
+      throw new HttpError(429, 'Too many incorrect attempts. Please try again later.');
+    }
+    throw new HttpError(400, 'Invalid or expired code');
+  }
+
+  // Only one request gets to use a code
+  const { deletedCount } = await OrderOtp.deleteOne({ _id: otp._id });
+  if (deletedCount === 0) {
+    throw new HttpError(400, 'Invalid or expired code');
+  }
+};
+
+const findGuestOrder = (email, orderNumber) => Order.findOne({
+  ...buildOrderLookup(orderNumber),
+  user: null,
+  'guest.email': email
+});
+
+// Step one of a guest order lookup. Says nothing about whether the order
+// exists, so it can't be used to probe for other people's orders.
+export const requestGuestOrderLookup = async ({ email, orderNumber }) => {
+  const normalizedEmail = normalizeEmail(email);
+  const order = await findGuestOrder(normalizedEmail, orderNumber);
+  if (!order) return;
+
+  try {
+    await sendOtp({
+      email: normalizedEmail,
+      name: order.guest.name || order.shippingAddress.fullName,
+      purpose: 'order_lookup',
+      order: order._id
+    });
+  } catch (error) {
+    // Answer as if nothing matched: a throttle error would confirm the order
+    // exists. The code already sent still works.
+    if (error.status !== 429) throw error;
+  }
+};
+
+// Step two: the emailed code unlocks the order and a guest token for it
+export const verifyGuestOrderLookup = async ({ email, orderNumber, code }) => {
+  const normalizedEmail = normalizeEmail(email);
+  const order = await findGuestOrder(normalizedEmail, orderNumber);
+  if (!order) {
+    throw new HttpError(400, 'Invalid or expired code');
+  }
+
+  await consumeOtp({ email: normalizedEmail, purpose: 'order_lookup', order: order._id, code });
+  return { order, accessToken: issueGuestOrderToken(order) };
+};
+
+export const countClaimableOrders = (email) => Order.countDocuments({
+  user: null,
+  'guest.email': normalizeEmail(email)
+});
+
+// Accounts aren't email-verified, so guest orders only move into an account
+// once its holder proves they can read mail sent to that address
+export const requestGuestOrderClaim = async (user) => {
+  const claimable = await countClaimableOrders(user.email);
+  if (claimable === 0) {
+    throw new HttpError(404, 'No guest orders found for your email');
+  }
+
+  await sendOtp({ email: normalizeEmail(user.email), name: user.name, purpose: 'order_claim' });
+  return claimable;
+};
+
+export const claimGuestOrders = async (user, code) => {
+  const email = normalizeEmail(user.email);
+  await consumeOtp({ email, purpose: 'order_claim', code });
+
+  const orders = await Order.find({ user: null, 'guest.email': email }).select('_id');
+  const orderIds = orders.map(order => order._id);
+  if (orderIds.length === 0) return 0;
+
+  await Order.updateMany({ _id: { $in: orderIds }, user: null }, { $set: { user: user._id } });
+  await Refund.updateMany({ order: { $in: orderIds }, user: null }, { $set: { user: user._id } });
+  return orderIds.length;
+};
@@ -0,0 +1,27 @@
+// Error carrying an HTTP status so helpers outside the route handlers can
+// reject a request with a specific response (e.g. 400 for a bad cart).
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send an HttpError as a JSON response, falling back to a generic 500
+export const sendHttpError = (res, error, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.details || {})
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { HttpError } from './httpError.js';
+
+// Run `work(session)` inside a MongoDB transaction and return its result.
+// Transactions need a replica set (Atlas clusters are one by default).
+// The driver retries the whole callback on transient write conflicts, so
+// `work` must re-read anything it depends on through the session.
+export const runInTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+// Write to an order inside a transaction before checking what else has been
+// claimed against it. Two transactions doing this for the same order
+// conflict, so the retried one sees the other's returns or refunds instead
+// of both passing the check.
+export const lockOrder = (orderId, session) => Order.updateOne(
+  { _id: orderId },
+  { $inc: { __v: 1 } },
+  { session }
+);
+
+// Take stock for each order line. The `$gte` guard makes the decrement
+// conditional, so two checkouts can never both take the last unit. Variant
+// lines decrement the variant and the product total together.
+export const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const productId = item.product?._id || item.product;
+    const filter = item.variant
+      ? { _id: productId, variants: { $elemMatch: { _id: item.variant, stock: { $gte: item.quantity } } } }
+      : { _id: productId, stock: { $gte: item.quantity } };
+    const update = item.variant
+      ? { $inc: { 'variants.$.stock': -item.quantity, stock: -item.quantity } }
+      : { $inc: { stock: -item.quantity } };
+
+    const result = await Product.updateOne(filter, update, { session });
+
+    if (result.modifiedCount === 0) {
+      const product = await Product.findById(productId).session(session);
+      if (!product) {
+        throw new HttpError(400, `Product with ID ${productId} not found`);
+      }
+      const variant = item.variant ? product.getVariant(item.variant) : null;
+      if (item.variant && !variant) {
+        throw new HttpError(400, `Selected option is no longer available for product: ${product.name}`);
+      }
+      const available = variant ? variant.stock : product.stock;
+      throw new HttpError(409, `Insufficient stock for product: ${product.name}. Available: ${available}, Requested: ${item.quantity}`);
+    }
+  }
+};
+
+// Put stock back for each order line, e.g. when an order is cancelled.
+// Lines whose product or variant has since been deleted are skipped.
+export const restoreStock = async (items, session) => {
+  for (const item of items) {
+    const productId = item.product?._id || item.product;
+    if (!productId) continue;
+
+    const result = item.variant
+      ? await Product.updateOne(
+        { _id: productId, 'variants._id': item.variant },
+        { $inc: { 'variants.$.stock': item.quantity, stock: item.quantity } },
+        { session }
+      )
+      : await Product.updateOne(
+        { _id: productId },
+        { $inc: { stock: item.quantity } },
+        { session }
+      );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Restored ${item.quantity} units of stock for product ${productId}`);
+    }
+  }
+};
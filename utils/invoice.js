@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import { HttpError } from './httpError.js';
+import { runInTransaction } from './inventory.js';
+import { uploadBuffer, fileExists } from './gridfs.js';
+import { getStoreState } from './tax.js';
+import { getOrderReference } from './orderNumbers.js';
+
+export const getSellerDetails = () => ({
+  name: process.env.SELLER_NAME || 'Parnika Silks',
+  gstin: process.env.SELLER_GSTIN || '',
+  address: process.env.SELLER_ADDRESS || '',
+  state: getStoreState(),
+  email: process.env.SENDER_EMAIL || ''
+});
+
+// India Standard Time is UTC+5:30 all year
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Indian financial years run April to March, e.g. "2026-27". The year turns
+// at midnight IST, whatever the server's timezone.
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+// GST invoice numbers must be unique per financial year and at most 16
+// characters, e.g. PS/26-27/000123
+const formatInvoiceNumber = (financialYear, sequence) => {
+  const [start, end] = financialYear.split('-');
+  return `PS/${start.slice(-2)}-${end}/${String(sequence).padStart(6, '0')}`;
+};
+
+// Orders are invoiced once confirmed: paid, or accepted for processing
+export const canIssueInvoice = (order) => {
+  if (order.status === 'cancelled') return false;
+  return order.status !== 'pending' || order.paymentStatus === 'completed';
+};
+
+const formatAmount = (amount) => `Rs. ${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Render the invoice PDF into a buffer
+export const renderInvoicePdf = (order, invoice) => new Promise((resolve, reject) => {
+  const seller = getSellerDetails();
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const interState = order.tax?.supplyType === 'inter_state';
+  const address = order.shippingAddress;
+
+  doc.fontSize(18).text('TAX INVOICE', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(11).text(seller.name, { continued: false });
+  doc.fontSize(9);
+  if (seller.address) doc.text(seller.address);
+  doc.text(`State: ${seller.state}`);
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+  if (seller.email) doc.text(`Email: ${seller.email}`);
+  doc.moveDown();
+
+  doc.text(`Invoice Number: ${invoice.invoiceNumber}`);
+  doc.text(`Invoice Date: ${invoice.issuedAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+  doc.text(`Order: ${getOrderReference(order)}`);
+  doc.text(`Order Date: ${order.createdAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+  doc.text(`Place of Supply: ${order.tax?.placeOfSupply || address.state}`);
+  doc.moveDown();
+
+  doc.fontSize(10).text('Ship To:');
+  doc.fontSize(9);
+  doc.text(address.fullName);
+  doc.text(address.addressLine1);
+  if (address.addressLine2) doc.text(address.addressLine2);
+  doc.text(`${address.city}, ${address.state} ${address.postalCode}`);
+  doc.text(`Phone: ${address.phone}`);
+  doc.moveDown();
+
+  // Line items table
+  const columns = interState
+    ? [['Item', 170], ['HSN', 45], ['Qty', 30], ['Taxable', 75], ['GST %', 40], ['IGST', 70], ['Total', 85]]
+    : [['Item', 150], ['HSN', 45], ['Qty', 30], ['Taxable', 70], ['GST %', 35], ['CGST', 55], ['SGST', 55], ['Total', 75]];
+  const drawRow = (cells, { bold = false } = {}) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    let height = 0;
+    cells.forEach((cell, index) => {
+      const [, width] = columns[index];
+      doc.text(String(cell), x, y, { width: width - 4, align: index === 0 ? 'left' : 'right' });
+      height = Math.max(height, doc.y - y);
+      x += width;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(columns.map(([title]) => title), { bold: true });
+  for (const item of order.items) {
+    const lineTotal = item.price * item.quantity - (item.promotionDiscount || 0);
+    const name = item.name || item.product?.name || 'Product';
+    drawRow(interState
+      ? [name, item.hsnCode || '', item.quantity, formatAmount(item.taxableValue), item.taxRate ?? '', formatAmount(item.igst), formatAmount(lineTotal)]
+      : [name, item.hsnCode || '', item.quantity, formatAmount(item.taxableValue), item.taxRate ?? '', formatAmount(item.cgst), formatAmount(item.sgst), formatAmount(lineTotal)]);
+  }
+  const delivery = order.tax?.delivery;
+  if (delivery?.amount > 0) {
+    drawRow(interState
+      ? ['Delivery charges', '9965', '', formatAmount(delivery.taxableValue), delivery.taxRate, formatAmount(delivery.igst), formatAmount(delivery.amount)]
+      : ['Delivery charges', '9965', '', formatAmount(delivery.taxableValue), delivery.taxRate, formatAmount(delivery.cgst), formatAmount(delivery.sgst), formatAmount(delivery.amount)]);
+  }
+  doc.font('Helvetica');
+  doc.moveDown();
+
+  const summary = [
+    ['Subtotal', formatAmount(order.subtotal)],
+    ...(order.discountTotal > 0 ? [['Discounts', `- ${formatAmount(order.discountTotal)}`]] : []),
+    ['Delivery Charges', formatAmount(order.deliveryCharges)],
+    ['Taxable Value', formatAmount(order.tax?.taxableValue)],
+    ...(interState
+      ? [['IGST', formatAmount(order.tax?.igst)]]
+      : [['CGST', formatAmount(order.tax?.cgst)], ['SGST', formatAmount(order.tax?.sgst)]]),
+    ['Grand Total (incl. GST)', formatAmount(order.totalAmount)]
+  ];
+  for (const [label, value] of summary) {
+    const y = doc.y;
+    doc.text(label, 300, y, { width: 130 });
+    doc.text(value, 430, y, { width: 125, align: 'right' });
+  }
+  doc.x = doc.page.margins.left;
+  doc.moveDown(2);
+  doc.fontSize(8).text(`Payment method: ${order.paymentMethod === 'cod' ? 'Cash on Delivery' : 'Online'}`);
+  doc.text('This is a computer generated invoice and does not require a signature.');
+
+  doc.end();
+});
+
+const storeInvoicePdf = async (order, invoice) => {
+  const pdf = await renderInvoicePdf(order, invoice);
+  await uploadBuffer(pdf, invoice.fileName, {
+    contentType: 'application/pdf',
+    // Private: served only through the order's invoice route
+    metadata: { order: order._id, invoiceNumber: invoice.invoiceNumber, private: true },
+    id: invoice.file
+  });
+};
+
+// Issue (or fetch) the invoice for an order. The number is allocated in the
+// same transaction that records the invoice so numbers aren't skipped. If
+// storing the PDF failed last time, it is rendered again under the same
+// number and file id.
+export const issueInvoice = async (order) => {
+  if (!canIssueInvoice(order)) {
+    throw new HttpError(400, 'An invoice is available once the order is confirmed');
+  }
+
+  let invoice = await Invoice.findOne({ order: order._id });
+  if (!invoice) {
+    try {
+      invoice = await runInTransaction(async (session) => {
+        const issuedAt = new Date();
+        const financialYear = getFinancialYear(issuedAt);
+        const sequence = await Counter.next(`invoice-${financialYear}`, session);
+        const invoiceNumber = formatInvoiceNumber(financialYear, sequence);
+
+        const [created] = await Invoice.create([{
+          order: order._id,
+          invoiceNumber,
+          financialYear,
+          sequence,
+          file: new mongoose.Types.ObjectId(),
+          fileName: `invoice-${invoiceNumber.replace(/\//g, '-')}.pdf`,
+          totalAmount: order.totalAmount,
+          totalTax: order.tax?.totalTax,
+          issuedAt
+        }], { session });
+        return created;
+      });
+    } catch (error) {
+      // Another request issued it first
+      if (error.code === 11000) {
+        invoice = await Invoice.findOne({ order: order._id });
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  if (!(await fileExists(invoice.file))) {
+    try {
+      await storeInvoicePdf(order, invoice);
+    } catch (error) {
+      // A concurrent request stored the same file
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return invoice;
+};
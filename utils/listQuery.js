@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import { HttpError } from './httpError.js';
+
+// Shared handling for list endpoints: filters, a whitelisted sort, page or
+// cursor pagination, `fields` selection and the response envelope.
+//
+// Responses use the `{ success, data, pageInfo }` envelope when the request
+// has `envelope=v2`. Otherwise the route's original body shape is kept for
+// the current frontend, with paging details in the X-Total-Count and
+// X-Next-Cursor headers, and whole collections are still returned unless
+// the request asks for a page (`page`, `limit` or `cursor`).
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+// Cursor values keep their type so dates and ids compare correctly
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object' && 'd' in value) return new Date(value.d);
+  if (value && typeof value === 'object' && 'o' in value) return new mongoose.Types.ObjectId(value.o);
+  return value;
+};
+
+const readField = (doc, field) => (typeof doc.get === 'function' ? doc.get(field) : getPath(doc, field));
+
+// Opaque cursor pointing just after `doc` in (sortKeys, _id) order
+export const encodeCursor = (doc, sortKeys) => Buffer.from(JSON.stringify(
+  [...sortKeys.map(([field]) => readField(doc, field)), doc._id].map(encodeValue)
+)).toString('base64url');
+
+export const decodeCursor = (cursor, sortKeys) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== sortKeys.length + 1) throw new Error('Wrong length');
+    return values.map(decodeValue);
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+};
+
+// Documents after the cursor in (sortKeys, _id) order: equal on the keys
+// before, past it on the next one
+export const buildCursorMatch = (sortKeys, values) => {
+  const keys = [...sortKeys, ['_id', 1]];
+  return {
+    $or: keys.map(([field, direction], index) => {
+      const condition = {};
+      for (let before = 0; before < index; before++) {
+        condition[keys[before][0]] = values[before];
+      }
+      condition[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+      return condition;
+    })
+  };
+};
+
+export const toSortSpec = (sortKeys) => Object.fromEntries([...sortKeys, ['_id', 1]]);
+
+const parseScalar = (name, type, raw) => {
+  const value = String(raw).trim();
+  if (type === 'objectId') {
+    if (!mongoose.Types.ObjectId.isValid(value)) throw new HttpError(400, `Invalid ${name} filter`);
+    return new mongoose.Types.ObjectId(value);
+  }
+  if (type === 'number') {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) throw new HttpError(400, `Invalid ${name} filter`);
+    return number;
+  }
+  if (type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new HttpError(400, `Invalid ${name} filter`);
+    return date;
+  }
+  if (type === 'boolean') {
+    if (value !== 'true' && value !== 'false') throw new HttpError(400, `Invalid ${name} filter`);
+    return value === 'true';
+  }
+  return value;
+};
+
+// `status=pending,shipped` -> $in; `createdAt[gte]=2026-01-01` -> range
+const parseFilter = (name, { path, type }, raw) => {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    if (type !== 'number' && type !== 'date') throw new HttpError(400, `Invalid ${name} filter`);
+    const range = {};
+    for (const [operator, value] of Object.entries(raw)) {
+      if (!RANGE_OPERATORS.includes(operator)) throw new HttpError(400, `Invalid ${name} filter`);
+      range[`$${operator}`] = parseScalar(name, type, value);
+    }
+    return { [path]: range };
+  }
+
+  const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(value => String(value).trim())
+    .filter(value => value !== '')
+    .map(value => parseScalar(name, type, value));
+  if (values.length === 0) return {};
+  return { [path]: values.length === 1 ? values[0] : { $in: values } };
+};
+
+// Envelope and `fields` selection, for lists that page some other way
+export const parseResponseOptions = (query) => {
+  const fields = query.fields
+    ? String(query.fields).split(',').map(field => field.trim()).filter(field => /^[\w.]+$/.test(field))
+    : [];
+  return {
+    envelope: query.envelope === 'v2' ? 'v2' : 'legacy',
+    fields: fields.length > 0 ? fields : null
+  };
+};
+
+// Read list options from a query string.
+//
+// `sorts` maps sort names to [[field, direction], ...]; `filters` maps query
+// parameters to a type ('string', 'objectId', 'number', 'date', 'boolean')
+// or { path, type } when the field has another name in the document.
+// `paginateByDefault` is for routes that already paged before v2.
+export const parseListQuery = (query, {
+  sorts = { newest: [['createdAt', -1]] },
+  defaultSort = 'newest',
+  sortParam = 'sort',
+  filters = {},
+  defaultLimit = DEFAULT_LIMIT,
+  maxLimit = MAX_LIMIT,
+  paginateByDefault = false
+} = {}) => {
+  const { envelope, fields } = parseResponseOptions(query);
+
+  let sortName = query[sortParam] || defaultSort;
+  if (!sorts[sortName]) {
+    // The old endpoints ignored sorts they didn't know
+    if (envelope === 'legacy') {
+      sortName = defaultSort;
+    } else {
+      throw new HttpError(400, `Invalid sort. Use one of: ${Object.keys(sorts).join(', ')}`);
+    }
+  }
+
+  const conditions = [];
+  for (const [name, definition] of Object.entries(filters)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const filter = typeof definition === 'string' ? { path: name, type: definition } : { path: name, ...definition };
+    const condition = parseFilter(name, filter, query[name]);
+    if (Object.keys(condition).length > 0) conditions.push(condition);
+  }
+
+  const paginate = envelope === 'v2' || paginateByDefault ||
+    query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+
+  return {
+    envelope,
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sortName,
+    sortKeys: sorts[sortName],
+    paginate,
+    limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit),
+    page: query.cursor ? null : Math.max(parseInt(query.page) || 1, 1),
+    cursor: query.cursor || null,
+    fields
+  };
+};
+
+const combine = (...filters) => {
+  const conditions = filters.filter(filter => filter && Object.keys(filter).length > 0);
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// Run a list query on `Model`. `baseFilter` is what the route always
+// applies (e.g. the signed-in user's id); `customize` adds populate/select.
+export const findList = async (Model, baseFilter, list, customize = query => query) => {
+  const filter = combine(baseFilter, list.filter);
+  const pageFilter = list.cursor ? combine(filter, buildCursorMatch(list.sortKeys, decodeCursor(list.cursor, list.sortKeys))) : filter;
+
+  let query = Model.find(pageFilter).sort(toSortSpec(list.sortKeys));
+  if (list.paginate) {
+    if (list.page) query = query.skip((list.page - 1) * list.limit);
+    // One extra tells us whether there is another page
+    query = query.limit(list.limit + 1);
+  }
+  query = customize(query);
+
+  const [docs, total] = await Promise.all([
+    query,
+    list.paginate && list.page ? Model.countDocuments(filter) : null
+  ]);
+
+  if (!list.paginate) {
+    return { data: docs, pageInfo: { total: docs.length, hasNextPage: false, nextCursor: null } };
+  }
+
+  const hasNextPage = docs.length > list.limit;
+  const data = docs.slice(0, list.limit);
+  const pageInfo = {
+    limit: list.limit,
+    hasNextPage,
+    nextCursor: hasNextPage ? encodeCursor(data[data.length - 1], list.sortKeys) : null
+  };
+  if (list.page) {
+    Object.assign(pageInfo, { page: list.page, total, totalPages: Math.ceil(total / list.limit) });
+  }
+  return { data, pageInfo };
+};
+
+// Only the requested fields (and _id) of each item
+const selectFields = (items, fields) => items.map(item => {
+  const plain = typeof item.toJSON === 'function' ? item.toJSON() : item;
+  const selected = { _id: plain._id };
+  for (const field of fields) {
+    const value = getPath(plain, field);
+    if (value !== undefined) setPath(selected, field, value);
+  }
+  return selected;
+});
+
+// Send a list in the envelope the client asked for. `legacy(data, pageInfo)`
+// builds the body the route returned before v2; `extra` is added to the v2
+// envelope (e.g. facet counts).
+export const sendList = (res, list, { data, pageInfo }, legacy, extra = {}) => {
+  const items = list.fields ? selectFields(data, list.fields) : data;
+
+  if (list.envelope === 'v2') {
+    return res.json({ success: true, data: items, pageInfo, ...extra });
+  }
+
+  if (list.paginate) {
+    if (pageInfo.total !== undefined && pageInfo.total !== null) res.set('X-Total-Count', String(pageInfo.total));
+    if (pageInfo.nextCursor) res.set('X-Next-Cursor', pageInfo.nextCursor);
+  }
+  return res.json(legacy(items, pageInfo));
+};
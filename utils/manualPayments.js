@@ -0,0 +1,161 @@
+import Order from '../models/Order.js';
+import { HttpError } from './httpError.js';
+import { runInTransaction } from './inventory.js';
+import { canTransition, transitionOrder } from './orderStatus.js';
+import { recordAudit } from './audit.js';
+import { sendEmail, emailTemplates } from './emailService.js';
+import { getOrderReference } from './orderNumbers.js';
+import { getOrderContact } from './guestOrders.js';
+
+// UPI UTRs are 12 digits; NEFT/IMPS/RTGS references run up to 22 characters
+const UTR_PATTERN = /^[A-Z0-9]{12,22}$/;
+
+export const normalizeUtr = (utr) => String(utr || '').replace(/\s+/g, '').toUpperCase();
+
+export const isValidUtr = (utr) => UTR_PATTERN.test(normalizeUtr(utr));
+
+// Other orders that already quote this UTR, as proof or as a recorded payment
+export const findDuplicateUtrOrders = (utr, orderId, session = null) => Order.find({
+  _id: { $ne: orderId },
+  $or: [
+    { 'paymentProof.utr': utr },
+    { 'paymentDetails.transactionId': utr }
+  ]
+}).select('_id orderNumber trackingNumber paymentStatus').session(session);
+
+// Attach a UTR (and optional screenshot) to an unpaid order for review.
+// A rejected proof can be replaced by a new one.
+export const submitPaymentProof = async (order, { utr, screenshot }) => {
+  if (order.paymentMethod === 'cod') {
+    throw new HttpError(400, 'Cash on delivery orders do not need a payment proof');
+  }
+  if (order.status === 'cancelled') {
+    throw new HttpError(400, 'This order has been cancelled');
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw new HttpError(400, 'Payment for this order has already been received');
+  }
+
+  const normalized = normalizeUtr(utr);
+  if (!UTR_PATTERN.test(normalized)) {
+    throw new HttpError(400, 'UTR must be 12 to 22 letters or digits');
+  }
+
+  // Flagged on the proof for the admin who verifies it
+  const duplicates = await findDuplicateUtrOrders(normalized, order._id);
+
+  order.paymentStatus = 'pending';
+  order.paymentProof = {
+    utr: normalized,
+    screenshot: screenshot || order.paymentProof?.screenshot,
+    submittedAt: new Date(),
+    status: 'submitted',
+    duplicateOf: duplicates.map(duplicate => duplicate._id)
+  };
+  await order.save();
+  return order;
+};
+
+// Accept a submitted proof: the order is marked paid and moves on to
+// processing. A UTR already used elsewhere needs an explicit override.
+// `paymentDate` defaults to when the proof was submitted.
+export const verifyPaymentProof = (orderId, { req, note, allowDuplicate = false, paymentDate }) => runInTransaction(async (session) => {
+  const order = await Order.findById(orderId).session(session);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+  if (order.paymentProof?.status !== 'submitted') {
+    throw new HttpError(400, 'There is no payment proof awaiting review on this order');
+  }
+
+  // Check again: another order may have claimed the UTR since submission
+  const duplicates = await findDuplicateUtrOrders(order.paymentProof.utr, order._id, session);
+  order.paymentProof.duplicateOf = duplicates.map(duplicate => duplicate._id);
+  if (duplicates.length > 0 && !allowDuplicate) {
+    throw new HttpError(409, 'This UTR has already been used on another order', {
+      duplicateOf: duplicates.map(duplicate => ({ id: duplicate._id, orderNumber: getOrderReference(duplicate) }))
+    });
+  }
+
+  order.paymentStatus = 'completed';
+  order.set({
+    'paymentDetails.provider': 'manual',
+    'paymentDetails.paymentDate': paymentDate || order.paymentProof.submittedAt,
+    'paymentDetails.amount': order.totalAmount,
+    'paymentDetails.transactionId': order.paymentProof.utr,
+    'paymentDetails.verified': true,
+    'paymentDetails.failureReason': undefined
+  });
+  order.paymentProof.status = 'verified';
+  order.paymentProof.rejectionReason = undefined;
+  order.paymentProof.reviewedBy = req.user._id;
+  order.paymentProof.reviewedAt = new Date();
+  if (canTransition(order.status, 'processing')) {
+    transitionOrder(order, 'processing', { changedBy: req.user._id, note: note || 'Payment verified' });
+  }
+  await order.save({ session });
+
+  await recordAudit({
+    req,
+    action: 'payment.verified',
+    entityType: 'Order',
+    entityId: order._id,
+    details: {
+      utr: order.paymentProof.utr,
+      amount: order.totalAmount,
+      note,
+      duplicateOf: order.paymentProof.duplicateOf
+    },
+    session
+  });
+  return order;
+});
+
+// Turn down a submitted proof; the customer may submit a corrected one
+export const rejectPaymentProof = (orderId, { req, reason }) => runInTransaction(async (session) => {
+  const order = await Order.findById(orderId).session(session);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+  if (order.paymentProof?.status !== 'submitted') {
+    throw new HttpError(400, 'There is no payment proof awaiting review on this order');
+  }
+
+  order.paymentStatus = 'failed';
+  order.paymentProof.status = 'rejected';
+  order.paymentProof.rejectionReason = reason;
+  order.paymentProof.reviewedBy = req.user._id;
+  order.paymentProof.reviewedAt = new Date();
+  await order.save({ session });
+
+  await recordAudit({
+    req,
+    action: 'payment.rejected',
+    entityType: 'Order',
+    entityId: order._id,
+    details: { utr: order.paymentProof.utr, reason },
+    session
+  });
+  return order;
+});
+
+// Email the customer the outcome of the payment review
+export const notifyPaymentProofUpdate = async (order) => {
+  try {
+    const contact = await getOrderContact(order);
+    const emailResult = await sendEmail({
+      to: contact.email,
+      subject: order.paymentProof.status === 'verified'
+        ? 'Payment Received - Parnika Silks'
+        : 'Payment Could Not Be Verified - Parnika Silks',
+      html: emailTemplates.paymentProofUpdate(contact.name, getOrderReference(order), order)
+    });
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send payment update email:', emailResult.error || emailResult.message);
+    }
+  } catch (emailError) {
+    console.error('❌ Error sending payment update email:', emailError);
+    // Don't fail the request if email fails
+  }
+};
@@ -0,0 +1,58 @@
+import Order from '../models/Order.js';
+
+// Order lines keep a snapshot of the product as it was sold, so editing or
+// deleting a product never changes what an old order shows
+
+const toPlainSpecifications = (specifications) => {
+  if (!specifications) return undefined;
+  const plain = specifications instanceof Map ? Object.fromEntries(specifications) : { ...specifications };
+  return Object.fromEntries(Object.entries(plain).filter(([, value]) => value !== undefined && value !== null));
+};
+
+// Name, image and specifications to store on an order line
+export const snapshotProduct = (product, variant = null) => ({
+  name: product.name,
+  image: variant?.images?.[0] || product.images?.[0],
+  specifications: toPlainSpecifications(product.specifications)
+});
+
+// Of `imageIds`, those an order line still shows. The snapshot only keeps
+// the file id, so these files must outlive the product or its old images.
+export const findImagesInOrders = async (imageIds) => {
+  const ids = (imageIds || []).filter(Boolean).map(String);
+  if (ids.length === 0) return new Set();
+  const used = await Order.distinct('items.image', { 'items.image': { $in: ids } });
+  return new Set(used.map(String));
+};
+
+// Order line as sent to clients. `product` stays an object for existing
+// storefront code, but is filled from the snapshot; the live product (if it
+// still exists) only supplies the id to link to. Orders placed before
+// snapshots existed fall back to the live product.
+export const presentOrderItem = (item) => {
+  // Populated product documents carry a name; bare ids do not
+  const live = item.product && typeof item.product === 'object' && 'name' in item.product ? item.product : null;
+  const productId = live ? live._id : item.product;
+  const name = item.name || live?.name || 'Product no longer available';
+  const image = item.image || live?.images?.[0];
+  const specifications = item.specifications || live?.specifications;
+
+  return {
+    ...item,
+    name,
+    image,
+    specifications,
+    product: {
+      _id: productId,
+      name,
+      images: image ? [image] : [],
+      specifications,
+      isAvailable: Boolean(live)
+    }
+  };
+};
+
+export const presentOrder = (order) => {
+  const plain = typeof order.toObject === 'function' ? order.toObject({ flattenMaps: true }) : order;
+  return { ...plain, items: (plain.items || []).map(presentOrderItem) };
+};
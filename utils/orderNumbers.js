@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Counter from '../models/Counter.js';
+
+// PS-2026-000123: prefix, calendar year, per-year sequence
+export const ORDER_NUMBER_PATTERN = /^PS-\d{4}-\d{6,}$/i;
+
+export const formatOrderNumber = (year, sequence) => `PS-${year}-${String(sequence).padStart(6, '0')}`;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Next order number for the year the order is placed in, in India whatever
+// the server's timezone. The counter is bumped atomically, so concurrent
+// checkouts never share a number.
+export const generateOrderNumber = async (session = null, date = new Date()) => {
+  const year = new Date(date.getTime() + IST_OFFSET_MS).getUTCFullYear();
+  const sequence = await Counter.next(`order-${year}`, session);
+  return formatOrderNumber(year, sequence);
+};
+
+// How to refer to an order in emails and documents
+export const getOrderReference = (order) => order.orderNumber || order.trackingNumber || String(order._id);
+
+// Query matching an order by Mongo id, order number or tracking number
+export const buildOrderLookup = (identifier) => {
+  const value = String(identifier || '').trim();
+  if (mongoose.Types.ObjectId.isValid(value) && /^[a-f0-9]{24}$/i.test(value)) {
+    return { _id: value };
+  }
+  if (ORDER_NUMBER_PATTERN.test(value)) {
+    return { orderNumber: value.toUpperCase() };
+  }
+  return { trackingNumber: value };
+};
+
+export const findOrderByIdentifier = (identifier) => Order.findOne(buildOrderLookup(identifier));
@@ -0,0 +1,147 @@
+import Product from '../models/Product.js';
+import { HttpError } from './httpError.js';
+import { snapshotProduct } from './orderItems.js';
+import { loadCategoryIndex, findCategory, getBreadcrumbs } from './categories.js';
+
+export const FREE_DELIVERY_THRESHOLD = 1000;
+
+// Round to paise so totals don't drift with floating point maths
+export const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Work out what a product (or one of its variants) currently sells for.
+// `originalPrice` above `price` means the discount is already baked into
+// `price`; otherwise an active `discountPercentage` is applied on top of the
+// product price. A variant with its own price ignores the product discount.
+export const getEffectivePrice = (product, variant = null) => {
+  const hasOverride = variant && variant.price !== undefined && variant.price !== null;
+  const price = hasOverride ? variant.price : product.price;
+  const originalPrice = hasOverride ? variant.originalPrice : product.originalPrice;
+
+  if (originalPrice && originalPrice > price) {
+    return { unitPrice: price, listPrice: originalPrice };
+  }
+
+  if (!hasOverride && product.discountPercentage > 0) {
+    return {
+      unitPrice: roundAmount(price * (1 - product.discountPercentage / 100)),
+      listPrice: price
+    };
+  }
+
+  return { unitPrice: price, listPrice: price };
+};
+
+// Price a cart from the database, ignoring any prices sent by the client.
+// Throws an HttpError when a product is missing, inactive or short of stock.
+// Pass `session` to read the catalogue inside a checkout transaction.
+export const buildOrderQuote = async (items, { session = null } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Items must be a non-empty array');
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const productId = item.product?._id || item.product || item._id;
+    if (!productId) {
+      throw new HttpError(400, 'Product ID is missing in one or more items');
+    }
+
+    const product = await Product.findById(productId).session(session);
+    if (!product || product.isActive === false) {
+      throw new HttpError(400, `Product with ID ${productId} not found`);
+    }
+
+    // Products with variants are bought per variant
+    let variant = null;
+    if (product.variants && product.variants.length > 0) {
+      variant = product.getVariant(item.variant?._id || item.variant);
+      if (!variant || variant.isActive === false) {
+        throw new HttpError(400, `Please select a valid option for product: ${product.name}`);
+      }
+    }
+
+    const quantity = parseInt(item.quantity);
+    const available = variant ? variant.stock : product.stock;
+    if (available < quantity) {
+      throw new HttpError(400, `Insufficient stock for product: ${product.name}${variant ? ` (${variant.sku})` : ''}. Available: ${available}, Requested: ${quantity}`);
+    }
+
+    const { unitPrice, listPrice } = getEffectivePrice(product, variant);
+    lines.push({
+      product,
+      variant,
+      quantity,
+      unitPrice,
+      listPrice,
+      clientPrice: item.price !== undefined ? parseFloat(item.price) : undefined
+    });
+  }
+
+  const subtotal = roundAmount(lines.reduce((total, line) => total + line.unitPrice * line.quantity, 0));
+  const discount = roundAmount(lines.reduce((total, line) => total + (line.listPrice - line.unitPrice) * line.quantity, 0));
+
+  // Per-product delivery charges apply only below the free delivery threshold
+  let deliveryCharges = 0;
+  if (subtotal < FREE_DELIVERY_THRESHOLD) {
+    for (const line of lines) {
+      if (line.product.deliveryChargesApplicable !== false) {
+        deliveryCharges += (line.product.deliveryCharges || 0) * line.quantity;
+      }
+    }
+  }
+  deliveryCharges = roundAmount(deliveryCharges);
+
+  // Tax follows the product's category; coupons match any category on its
+  // path. Read fresh, and never guessed: a wrong category means wrong GST.
+  const categoryIndex = await loadCategoryIndex({ fresh: true });
+  const describeCategory = (product) => {
+    const category = findCategory(categoryIndex, product.category);
+    if (!category) {
+      throw new HttpError(500, `Category not found for product: ${product.name}`);
+    }
+    return {
+      taxClass: category.taxClass,
+      categories: getBreadcrumbs(categoryIndex, product.category).map(item => item.slug)
+    };
+  };
+
+  return {
+    currency: 'INR',
+    items: lines.map(line => ({
+      product: line.product._id,
+      variant: line.variant?._id,
+      sku: line.variant?.sku || line.product.sku,
+      options: line.variant ? Object.fromEntries(line.variant.options || []) : undefined,
+      ...snapshotProduct(line.product, line.variant),
+      ...describeCategory(line.product),
+      hsnCode: line.product.hsnCode,
+      quantity: line.quantity,
+      price: line.unitPrice,
+      listPrice: line.listPrice,
+      discount: roundAmount((line.listPrice - line.unitPrice) * line.quantity),
+      lineTotal: roundAmount(line.unitPrice * line.quantity),
+      clientPrice: line.clientPrice
+    })),
+    subtotal,
+    discount,
+    deliveryCharges,
+    freeDeliveryThreshold: FREE_DELIVERY_THRESHOLD,
+    totalAmount: roundAmount(subtotal + deliveryCharges)
+  };
+};
+
+// Lines where the price shown to the customer differs from what we'd charge
+export const findPriceMismatches = (quote) => quote.items
+  .filter(item => item.clientPrice !== undefined && Math.abs(item.clientPrice - item.price) >= 0.01)
+  .map(item => ({
+    product: item.product,
+    name: item.name,
+    quotedPrice: item.clientPrice,
+    currentPrice: item.price
+  }));
+
+// Quote as returned to the storefront, without internal bookkeeping fields
+export const serializeQuote = (quote) => ({
+  ...quote,
+  items: quote.items.map(({ clientPrice, ...item }) => item)
+});
@@ -0,0 +1,48 @@
+import { HttpError } from './httpError.js';
+
+// Allowed order status changes. `returned` covers both doorstep refusals
+// (RTO while shipped, restocked straight away) and returns after delivery
+// (restocked through a return request once they pass quality checks).
+export const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+export const ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Move an order to a new status and record it in the timeline. Throws a 400
+// HttpError for transitions the table doesn't allow.
+export const transitionOrder = (order, status, { changedBy = null, note } = {}) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new HttpError(400, `Invalid order status: ${status}`);
+  }
+  if (!canTransition(order.status, status)) {
+    const allowed = STATUS_TRANSITIONS[order.status] || [];
+    throw new HttpError(400, `Cannot change order status from ${order.status} to ${status}`, {
+      allowedStatuses: allowed
+    });
+  }
+
+  order.statusHistory.push({
+    status,
+    from: order.status,
+    changedBy,
+    note,
+    changedAt: new Date()
+  });
+  order.status = status;
+  if (status === 'delivered') order.deliveredAt = new Date();
+};
+
+// Timeline for the customer tracking page, without internal user ids
+export const getStatusTimeline = (order) => (order.statusHistory || []).map(entry => ({
+  status: entry.status,
+  changedAt: entry.changedAt,
+  note: entry.note
+}));
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { hmacSha256, verifyHmac } from './signature.js';
+import { parseRazorpayEvent } from './razorpay.js';
+
+// Offline stand-in for a Razorpay-style gateway. It signs callbacks and
+// webhooks exactly like the real one, so the full flow can be exercised
+// without network access or gateway credentials. Anyone can mark an order
+// paid with it, so it is off unless PAYMENT_PROVIDER=fake and
+// FAKE_PAYMENT_SECRET are both set, and never available in production.
+const getSecret = () => process.env.FAKE_PAYMENT_SECRET;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+const fake = {
+  name: 'fake',
+
+  isConfigured: () => process.env.NODE_ENV !== 'production' &&
+    process.env.PAYMENT_PROVIDER === 'fake' &&
+    Boolean(process.env.FAKE_PAYMENT_SECRET),
+
+  getPublicConfig: () => ({ keyId: 'fake_key' }),
+
+  createOrder: async ({ amount, currency = 'INR' }) => ({
+    id: randomId('fakeorder'),
+    amount,
+    currency
+  }),
+
+  verifyPaymentSignature: ({ gatewayOrderId, paymentId, signature }) =>
+    verifyHmac(`${gatewayOrderId}|${paymentId}`, signature, getSecret()),
+
+  verifyWebhookSignature: (rawBody, headers) =>
+    verifyHmac(rawBody, headers['x-fake-signature'], getSecret()),
+
+  parseWebhookEvent: (body, headers) => parseRazorpayEvent(body, headers['x-fake-event-id'])
+};
+
+// Play the customer and the gateway: returns the signed checkout callback
+// and the matching webhook request for a payment on a gateway order
+export const simulatePayment = ({ gatewayOrderId, amount, fail = false }) => {
+  const paymentId = randomId('fakepay');
+  const body = {
+    event: fail ? 'payment.failed' : 'payment.captured',
+    payload: {
+      payment: {
+        entity: {
+          id: paymentId,
+          order_id: gatewayOrderId,
+          amount: Math.round(amount * 100),
+          status: fail ? 'failed' : 'captured',
+          error_description: fail ? 'Payment declined by the fake gateway' : undefined
+        }
+      }
+    }
+  };
+  const rawBody = JSON.stringify(body);
+
+  return {
+    callback: fail ? null : {
+      gatewayOrderId,
+      paymentId,
+      signature: hmacSha256(`${gatewayOrderId}|${paymentId}`, getSecret())
+    },
+    webhook: {
+      headers: {
+        'x-fake-signature': hmacSha256(rawBody, getSecret()),
+        'x-fake-event-id': randomId('fakeevt')
+      },
+      body
+    }
+  };
+};
+
+export default fake;
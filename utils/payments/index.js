@@ -0,0 +1,165 @@
+import Order from '../../models/Order.js';
+import PaymentEvent from '../../models/PaymentEvent.js';
+import { HttpError } from '../httpError.js';
+import { runInTransaction } from '../inventory.js';
+import { canTransition, transitionOrder } from '../orderStatus.js';
+import { getOrderReference } from '../orderNumbers.js';
+import razorpay from './razorpay.js';
+import fake from './fake.js';
+
+// Every provider implements: isConfigured, getPublicConfig, createOrder,
+// verifyPaymentSignature, verifyWebhookSignature and parseWebhookEvent
+const providers = { razorpay, fake };
+
+// The provider new payments go through. Chosen by configuration only,
+// never by the client.
+export const getDefaultProviderName = () => process.env.PAYMENT_PROVIDER || 'razorpay';
+
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new HttpError(404, `Unknown payment provider: ${name}`);
+  }
+  if (!provider.isConfigured()) {
+    throw new HttpError(503, `Payment provider ${name} is not configured`);
+  }
+  return provider;
+};
+
+// Gateway orders opened for an order, including the single one recorded on
+// orders from before every attempt was kept
+export const getGatewayOrders = (order) => {
+  const details = order.paymentDetails || {};
+  const gatewayOrders = (details.gatewayOrders || []).map(({ provider, id, createdAt }) => ({ provider, id, createdAt }));
+  if (details.gatewayOrderId && !gatewayOrders.some(item => item.id === details.gatewayOrderId)) {
+    gatewayOrders.push({ provider: details.provider, id: details.gatewayOrderId });
+  }
+  return gatewayOrders;
+};
+
+// The attempt a gateway order id belongs to, if it was opened for this order
+export const findGatewayOrder = (order, gatewayOrderId) =>
+  getGatewayOrders(order).find(item => item.id === gatewayOrderId) || null;
+
+const findOrderByGatewayOrder = (provider, gatewayOrderId) => Order.findOne({
+  $or: [
+    { 'paymentDetails.gatewayOrders': { $elemMatch: { provider, id: gatewayOrderId } } },
+    { 'paymentDetails.provider': provider, 'paymentDetails.gatewayOrderId': gatewayOrderId }
+  ]
+});
+
+// Open a gateway order for an online order that still needs paying. A retry
+// after a failed or abandoned attempt gets a fresh gateway order.
+export const startPayment = async (order) => {
+  if (order.paymentMethod !== 'online') {
+    throw new HttpError(400, 'This order is not set up for online payment');
+  }
+  if (order.status !== 'pending' || !['pending', 'failed'].includes(order.paymentStatus)) {
+    throw new HttpError(400, 'This order does not need a payment');
+  }
+
+  const provider = getPaymentProvider();
+  const gatewayOrder = await provider.createOrder({
+    amount: order.totalAmount,
+    currency: 'INR',
+    receipt: getOrderReference(order),
+    notes: { orderId: order._id.toString() }
+  });
+
+  order.paymentStatus = 'pending';
+  order.paymentDetails = {
+    provider: provider.name,
+    gatewayOrderId: gatewayOrder.id,
+    gatewayOrders: [
+      ...getGatewayOrders(order),
+      { provider: provider.name, id: gatewayOrder.id, createdAt: new Date() }
+    ],
+    amount: order.totalAmount,
+    verified: false
+  };
+  await order.save();
+
+  return {
+    provider: provider.name,
+    ...provider.getPublicConfig(),
+    gatewayOrderId: gatewayOrder.id,
+    amount: gatewayOrder.amount,
+    currency: gatewayOrder.currency
+  };
+};
+
+// Apply a verified payment event to its order exactly once. `event` is
+// { eventId, type: 'captured' | 'failed', gatewayOrderId, paymentId, amount,
+// failureReason }. Replays of an event already applied come back with
+// duplicate: true and change nothing.
+export const applyPaymentEvent = async ({ provider, source, event, payload }) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const order = await findOrderByGatewayOrder(provider, event.gatewayOrderId).session(session);
+
+      await PaymentEvent.create([{
+        provider,
+        eventId: event.eventId,
+        type: event.type,
+        source,
+        order: order?._id,
+        gatewayOrderId: event.gatewayOrderId,
+        paymentId: event.paymentId,
+        amount: event.amount,
+        payload
+      }], { session });
+
+      if (!order) {
+        return { order: null, duplicate: false };
+      }
+
+      // A second notification for a payment we already took changes nothing.
+      // A capture from another attempt means the customer paid twice.
+      if (order.paymentStatus !== 'pending' && order.paymentStatus !== 'failed') {
+        if (event.type === 'captured' && event.paymentId !== order.paymentDetails.transactionId) {
+          console.error(`Second payment ${event.paymentId} captured on order ${order._id}; refund it`);
+        }
+        return { order, duplicate: false };
+      }
+
+      // Failures of earlier attempts don't affect the one in progress
+      if (event.type === 'failed' && event.gatewayOrderId !== order.paymentDetails.gatewayOrderId) {
+        return { order, duplicate: false };
+      }
+
+      if (event.type === 'captured') {
+        if (event.amount !== undefined && Math.abs(event.amount - order.totalAmount) > 0.01) {
+          console.error(`Payment amount mismatch on order ${order._id}: paid ${event.amount}, expected ${order.totalAmount}`);
+          order.paymentDetails.failureReason = `Paid amount ₹${event.amount} does not match the order total`;
+          await order.save({ session });
+          return { order, duplicate: false };
+        }
+
+        order.paymentStatus = 'completed';
+        // Paid in the window of whichever attempt this was
+        order.paymentDetails.provider = provider;
+        order.paymentDetails.gatewayOrderId = event.gatewayOrderId;
+        order.paymentDetails.paymentDate = new Date();
+        order.paymentDetails.amount = event.amount ?? order.totalAmount;
+        order.paymentDetails.transactionId = event.paymentId;
+        order.paymentDetails.verified = true;
+        order.paymentDetails.failureReason = undefined;
+        if (canTransition(order.status, 'processing')) {
+          transitionOrder(order, 'processing', { note: `Payment captured via ${provider}` });
+        }
+      } else if (event.type === 'failed') {
+        order.paymentStatus = 'failed';
+        order.paymentDetails.failureReason = event.failureReason || 'Payment failed';
+      }
+
+      await order.save({ session });
+      return { order, duplicate: false };
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const order = await findOrderByGatewayOrder(provider, event.gatewayOrderId);
+      return { order, duplicate: true };
+    }
+    throw error;
+  }
+};
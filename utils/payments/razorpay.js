@@ -0,0 +1,71 @@
+import axios from 'axios';
+import { HttpError } from '../httpError.js';
+import { verifyHmac } from './signature.js';
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+const getConfig = () => ({
+  keyId: process.env.RAZORPAY_KEY_ID,
+  keySecret: process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+});
+
+// Map a Razorpay webhook body onto the shape the payment service expects
+export const parseRazorpayEvent = (body, eventId) => {
+  const payment = body?.payload?.payment?.entity || {};
+  const gatewayOrder = body?.payload?.order?.entity || {};
+  const types = {
+    'payment.captured': 'captured',
+    'order.paid': 'captured',
+    'payment.failed': 'failed'
+  };
+
+  return {
+    eventId: eventId || `${body?.event}:${payment.id || gatewayOrder.id}`,
+    type: types[body?.event] || body?.event,
+    gatewayOrderId: payment.order_id || gatewayOrder.id,
+    paymentId: payment.id,
+    amount: typeof payment.amount === 'number' ? payment.amount / 100 : undefined,
+    failureReason: payment.error_description
+  };
+};
+
+const razorpay = {
+  name: 'razorpay',
+
+  isConfigured: () => Boolean(getConfig().keyId && getConfig().keySecret),
+
+  // Safe to send to the browser for the checkout widget
+  getPublicConfig: () => ({ keyId: getConfig().keyId }),
+
+  // Amounts are in rupees here and paise at the gateway
+  createOrder: async ({ amount, currency = 'INR', receipt, notes }) => {
+    const { keyId, keySecret } = getConfig();
+    try {
+      const response = await axios.post(`${API_URL}/orders`, {
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes
+      }, {
+        auth: { username: keyId, password: keySecret },
+        timeout: 10000
+      });
+      return { id: response.data.id, amount: response.data.amount / 100, currency: response.data.currency };
+    } catch (error) {
+      console.error('Razorpay order creation failed:', error.response?.data || error.message);
+      throw new HttpError(502, 'Could not start the payment. Please try again.');
+    }
+  },
+
+  // Checkout callback: signature is HMAC(order_id|payment_id, key secret)
+  verifyPaymentSignature: ({ gatewayOrderId, paymentId, signature }) =>
+    verifyHmac(`${gatewayOrderId}|${paymentId}`, signature, getConfig().keySecret),
+
+  verifyWebhookSignature: (rawBody, headers) =>
+    verifyHmac(rawBody, headers['x-razorpay-signature'], getConfig().webhookSecret),
+
+  parseWebhookEvent: (body, headers) => parseRazorpayEvent(body, headers['x-razorpay-event-id'])
+};
+
+export default razorpay;
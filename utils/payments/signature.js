@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+export const hmacSha256 = (payload, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest('hex');
+
+// Constant-time comparison of a received hex signature with the expected one
+export const verifyHmac = (payload, signature, secret) => {
+  if (!signature || !secret || typeof signature !== 'string') return false;
+  const expected = Buffer.from(hmacSha256(payload, secret), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
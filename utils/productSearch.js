@@ -0,0 +1,217 @@
+import Product from '../models/Product.js';
+import { encodeCursor, decodeCursor, buildCursorMatch, toSortSpec } from './listQuery.js';
+import { expandSearchTerms } from './searchSynonyms.js';
+import { loadCategoryIndex, resolveCategoryIds } from './categories.js';
+import { collectAttributes, parseAttributeFilters } from './categoryAttributes.js';
+
+// Upper bounds of the price ranges shown as a facet; anything dearer falls
+// in a final open-ended range
+export const PRICE_BUCKETS = [0, 1000, 2500, 5000, 10000, 25000];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Sort keys for each sort option; _id is always added last as a tie-break
+// so cursors are stable
+const SORTS = {
+  relevance: [['score', -1], ['createdAt', -1]],
+  price_asc: [['price', 1]],
+  price_desc: [['price', -1]],
+  newest: [['createdAt', -1]],
+  popularity: [['totalReviews', -1], ['averageRating', -1]]
+};
+export const SORT_OPTIONS = Object.keys(SORTS);
+
+const SEARCH_PARAMS = ['q', 'category', 'minPrice', 'maxPrice', 'minRating', 'inStock', 'sort', 'limit', 'cursor'];
+
+// "Silk,Cotton" or ['Silk', 'Cotton'] -> ['Silk', 'Cotton']
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Search options from a query string. Any other parameter may filter on an
+// attribute; which ones apply depends on the categories searched.
+export const parseSearchParams = (query = {}) => ({
+  q: String(query.q || '').trim(),
+  category: toList(query.category),
+  specifications: Object.fromEntries(Object.entries(query).filter(([key]) => !SEARCH_PARAMS.includes(key))),
+  minPrice: toNumber(query.minPrice),
+  maxPrice: toNumber(query.maxPrice),
+  minRating: toNumber(query.minRating),
+  inStock: query.inStock === 'true' || query.inStock === true,
+  sort: SORTS[query.sort] ? query.sort : undefined,
+  limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+  cursor: query.cursor || null
+});
+
+// Each active filter as its own condition, keyed by facet name, so a facet
+// can be counted with every filter except its own
+const buildFilters = (params, attributes) => {
+  const filters = parseAttributeFilters(attributes, params.specifications);
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    filters.price = { price: {} };
+    if (params.minPrice !== undefined) filters.price.price.$gte = params.minPrice;
+    if (params.maxPrice !== undefined) filters.price.price.$lte = params.maxPrice;
+  }
+  if (params.minRating !== undefined) {
+    filters.rating = { averageRating: { $gte: params.minRating } };
+  }
+  if (params.inStock) {
+    filters.inStock = { stock: { $gt: 0 } };
+  }
+  return filters;
+};
+
+const combineFilters = (filters, except = null) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .map(([, condition]) => condition);
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Numbers facet as the range on offer, everything else as value counts
+const buildFacetStages = (filters, attributes) => {
+  const stages = {};
+  for (const { key, type } of attributes) {
+    const path = `$specifications.${key}`;
+    stages[key] = type === 'number'
+      ? [
+        { $match: combineFilters(filters, key) },
+        { $group: { _id: null, min: { $min: path }, max: { $max: path } } }
+      ]
+      : [
+        { $match: combineFilters(filters, key) },
+        { $group: { _id: path, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, '', 'Not specified'] } } },
+        { $sort: { count: -1, _id: 1 } }
+      ];
+  }
+  stages.price = [
+    { $match: combineFilters(filters, 'price') },
+    { $bucket: { groupBy: '$price', boundaries: [...PRICE_BUCKETS, Infinity], default: 'other', output: { count: { $sum: 1 } } } }
+  ];
+  stages.rating = [
+    { $match: combineFilters(filters, 'rating') },
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(RATING_THRESHOLDS.map(threshold => [
+          `atLeast${threshold}`,
+          { $sum: { $cond: [{ $gte: ['$averageRating', threshold] }, 1, 0] } }
+        ]))
+      }
+    }
+  ];
+  stages.inStock = [
+    { $match: combineFilters(filters, 'inStock') },
+    { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } }
+  ];
+  return stages;
+};
+
+const shapeFacets = (raw, attributes) => {
+  const facets = {};
+  for (const { key, type } of attributes) {
+    facets[key] = type === 'number'
+      ? (raw[key][0] ? { min: raw[key][0].min, max: raw[key][0].max } : null)
+      : raw[key].map(row => ({ value: row._id, count: row.count }));
+  }
+  facets.price = raw.price
+    .filter(row => row._id !== 'other')
+    .map(row => {
+      const index = PRICE_BUCKETS.indexOf(row._id);
+      return { min: row._id, max: PRICE_BUCKETS[index + 1] ?? null, count: row.count };
+    });
+  const ratings = raw.rating[0] || {};
+  facets.rating = RATING_THRESHOLDS.map(threshold => ({ minRating: threshold, count: ratings[`atLeast${threshold}`] || 0 }));
+  facets.inStock = {
+    inStock: raw.inStock.find(row => row._id === true)?.count || 0,
+    outOfStock: raw.inStock.find(row => row._id === false)?.count || 0
+  };
+  return facets;
+};
+
+// Active products matching `params` (parseSearchParams), one page at a
+// time, with facet counts over the whole result set. Facets cover the
+// filterable attributes of the categories searched (of every category when
+// none is given). Returns hydrated products so callers can shape them as
+// they would a find(), and whether any filter narrowed the results.
+//
+// `limit: null` returns every match, and `nameContains` matches `q` as part
+// of the product name instead of as whole words; both are for the older
+// routes that worked that way.
+export const searchProducts = async (params) => {
+  const textSearch = Boolean(params.q) && !params.nameContains;
+  // Relevance only means something when there are search words
+  const sort = params.sort && (params.sort !== 'relevance' || textSearch) ? params.sort : (textSearch ? 'relevance' : 'newest');
+  const sortKeys = SORTS[sort];
+  const paged = params.limit !== null;
+
+  const baseMatch = { isActive: { $ne: false } };
+  if (textSearch) {
+    // Words in $search are OR'ed, so synonyms widen the match
+    baseMatch.$text = { $search: expandSearchTerms(params.q).join(' ') };
+  } else if (params.q) {
+    baseMatch.name = { $regex: params.q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+  // Categories are slugs or ids and include their subcategories
+  const categoryIds = params.category.length > 0 ? await resolveCategoryIds(params.category) : [];
+  if (params.category.length > 0) baseMatch.categoryPath = { $in: categoryIds };
+
+  const attributes = collectAttributes(await loadCategoryIndex(), categoryIds)
+    .filter(attribute => attribute.filterable !== false);
+  const filters = buildFilters(params, attributes);
+  const resultStages = [{ $match: combineFilters(filters) }];
+  if (paged && params.cursor) {
+    resultStages.push({ $match: buildCursorMatch(sortKeys, decodeCursor(params.cursor, sortKeys)) });
+  }
+  resultStages.push({ $sort: toSortSpec(sortKeys) });
+  // One extra tells us whether there is another page
+  if (paged) resultStages.push({ $limit: params.limit + 1 });
+
+  const leadStages = [
+    { $match: baseMatch },
+    { $project: { reviews: 0 } },
+    ...(textSearch ? [{ $addFields: { score: { $meta: 'textScore' } } }] : [])
+  ];
+  const facetStages = {
+    total: [{ $match: combineFilters(filters) }, { $count: 'count' }],
+    ...buildFacetStages(filters, attributes)
+  };
+  // A $facet output is one document capped at 16MB, so every match is
+  // listed by a separate aggregate instead
+  const [[result], unpagedProducts] = await Promise.all([
+    Product.aggregate([...leadStages, { $facet: paged ? { products: resultStages, ...facetStages } : facetStages }]),
+    paged ? null : Product.aggregate([...leadStages, ...resultStages])
+  ]);
+  if (!paged) result.products = unpagedProducts;
+
+  const page = paged ? result.products.slice(0, params.limit) : result.products;
+  const hasNextPage = paged && result.products.length > params.limit;
+  const total = result.total[0]?.count || 0;
+
+  return {
+    products: page.map(doc => Product.hydrate(doc)),
+    facets: shapeFacets(result, attributes),
+    attributes: attributes.map(({ key, label, type, unit, values }) => ({ key, label, type, unit, values })),
+    filtered: params.category.length > 0 || Object.keys(filters).length > 0,
+    total,
+    sort,
+    pageInfo: {
+      limit: params.limit,
+      total,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(page[page.length - 1], sortKeys) : null
+    }
+  };
+};
@@ -0,0 +1,76 @@
+import { ObjectId } from 'mongodb';
+
+// Multipart forms send nested fields as JSON strings
+const parseJsonField = (value, fieldName) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${fieldName}`);
+  }
+};
+
+// Turn the admin form's `options` and `variants` fields into schema values.
+// Variants may reference product images either by GridFS id (`images`) or by
+// position in this request's uploads (`imageIndexes`).
+export const parseVariantPayload = ({ options, variants }, { uploadedImageIds = [] } = {}) => {
+  const parsedOptions = parseJsonField(options, 'options');
+  const parsedVariants = parseJsonField(variants, 'variants');
+  const result = {};
+
+  if (parsedOptions !== undefined) {
+    if (!Array.isArray(parsedOptions)) {
+      throw new Error('Options must be an array');
+    }
+    result.options = parsedOptions.map(option => ({
+      name: String(option.name || '').trim(),
+      values: (option.values || []).map(value => String(value).trim()).filter(Boolean)
+    }));
+  }
+
+  if (parsedVariants !== undefined) {
+    if (!Array.isArray(parsedVariants)) {
+      throw new Error('Variants must be an array');
+    }
+    result.variants = parsedVariants.map(variant => {
+      const images = (variant.images || []).filter(id => ObjectId.isValid(id));
+      for (const index of variant.imageIndexes || []) {
+        if (uploadedImageIds[index]) images.push(uploadedImageIds[index]);
+      }
+
+      const parsed = {
+        sku: variant.sku,
+        options: variant.options || {},
+        stock: parseInt(variant.stock) || 0,
+        images,
+        isActive: variant.isActive !== false && variant.isActive !== 'false'
+      };
+      if (variant._id && ObjectId.isValid(variant._id)) {
+        parsed._id = variant._id;
+      }
+      if (variant.price !== undefined && variant.price !== null && variant.price !== '') {
+        parsed.price = parseFloat(variant.price);
+      }
+      if (variant.originalPrice !== undefined && variant.originalPrice !== null && variant.originalPrice !== '') {
+        parsed.originalPrice = parseFloat(variant.originalPrice);
+      }
+      return parsed;
+    });
+  }
+
+  return result;
+};
+
+// Variants as exposed by the storefront API
+export const serializeVariants = (product) => (product.variants || [])
+  .filter(variant => variant.isActive !== false)
+  .map(variant => ({
+    _id: variant._id.toString(),
+    sku: variant.sku,
+    options: Object.fromEntries(variant.options || []),
+    price: variant.price ?? product.price,
+    originalPrice: variant.price !== undefined && variant.price !== null ? variant.originalPrice : product.originalPrice,
+    stock: variant.stock,
+    images: variant.images && variant.images.length > 0 ? variant.images : product.images
+  }));
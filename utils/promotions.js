@@ -0,0 +1,243 @@
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import { HttpError } from './httpError.js';
+import { roundAmount } from './orderPricing.js';
+
+// Indexes of the quote lines a coupon is scoped to
+const getEligibleLines = (coupon, quote) => {
+  const categories = coupon.appliesTo?.categories || [];
+  const products = (coupon.appliesTo?.products || []).map(id => id.toString());
+
+  return quote.items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => {
+      if (categories.length === 0 && products.length === 0) return true;
+      return categories.some(slug => item.categories?.includes(slug)) || products.includes(item.product.toString());
+    });
+};
+
+// Spread `amount` over lines in proportion to their value, so taxes and
+// refunds can later be worked out per line
+const allocateAcrossLines = (amount, lines) => {
+  const base = lines.reduce((total, { item }) => total + item.lineTotal, 0);
+  if (base <= 0) return [];
+
+  let remaining = amount;
+  return lines.map(({ item, index }, position) => {
+    const share = position === lines.length - 1
+      ? roundAmount(remaining)
+      : roundAmount(amount * item.lineTotal / base);
+    remaining -= share;
+    return { index, amount: share };
+  });
+};
+
+// Buy X get Y: group units from the most expensive down, and discount the
+// cheapest `getQuantity` units of each full group
+const calculateBogoAllocations = (coupon, lines) => {
+  const { buyQuantity, getQuantity, getDiscountPercentage } = coupon.bogo;
+  const groupSize = buyQuantity + getQuantity;
+
+  const units = lines
+    .flatMap(({ item, index }) => Array.from({ length: item.quantity }, () => ({ index, price: item.price })))
+    .sort((a, b) => b.price - a.price);
+
+  const perLine = new Map();
+  const fullGroups = Math.floor(units.length / groupSize);
+  for (let group = 0; group < fullGroups; group++) {
+    const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+    for (const unit of groupUnits.slice(buyQuantity)) {
+      const discount = unit.price * getDiscountPercentage / 100;
+      perLine.set(unit.index, (perLine.get(unit.index) || 0) + discount);
+    }
+  }
+
+  return [...perLine.entries()].map(([index, amount]) => ({ index, amount: roundAmount(amount) }));
+};
+
+// Work out what a coupon takes off a quote. Returns `{ error }` when the
+// cart doesn't qualify, otherwise the discount and its per-line split.
+export const evaluateCoupon = async (coupon, quote, { userId = null, guestEmail = null, session = null } = {}) => {
+  const availabilityError = coupon.getAvailabilityError();
+  if (availabilityError) return { error: availabilityError };
+
+  if (coupon.restrictedTo && coupon.restrictedTo.toString() !== userId?.toString()) {
+    return { error: 'This coupon is not valid for your account' };
+  }
+
+  if (quote.subtotal < (coupon.minCartValue || 0)) {
+    return { error: `Add items worth ₹${roundAmount(coupon.minCartValue - quote.subtotal).toLocaleString()} more to use this coupon` };
+  }
+
+  const lines = getEligibleLines(coupon, quote);
+  const eligibleUnits = lines.reduce((total, { item }) => total + item.quantity, 0);
+  const eligibleSubtotal = roundAmount(lines.reduce((total, { item }) => total + item.lineTotal, 0));
+
+  if (lines.length === 0) {
+    return { error: 'This coupon does not apply to the items in your cart' };
+  }
+  if (eligibleUnits < (coupon.minQuantity || 0)) {
+    return { error: `Add ${coupon.minQuantity - eligibleUnits} more eligible item(s) to use this coupon` };
+  }
+
+  // Guests are counted by the email they check out with
+  if (coupon.perUserLimit && (userId || guestEmail)) {
+    const timesUsed = await Order.countDocuments({
+      ...(userId ? { user: userId } : { 'guest.email': guestEmail }),
+      'discounts.coupon': coupon._id,
+      status: { $ne: 'cancelled' }
+    }).session(session);
+    if (timesUsed >= coupon.perUserLimit) {
+      return { error: 'You have already used this coupon the maximum number of times' };
+    }
+  }
+
+  let amount = 0;
+  let allocations = [];
+  if (coupon.type === 'percentage') {
+    amount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount) amount = Math.min(amount, coupon.maxDiscount);
+    amount = roundAmount(amount);
+    allocations = allocateAcrossLines(amount, lines);
+  } else if (coupon.type === 'flat') {
+    amount = roundAmount(Math.min(coupon.value, eligibleSubtotal));
+    allocations = allocateAcrossLines(amount, lines);
+  } else if (coupon.type === 'free_shipping') {
+    amount = quote.deliveryCharges;
+  } else if (coupon.type === 'bogo') {
+    allocations = calculateBogoAllocations(coupon, lines);
+    amount = roundAmount(allocations.reduce((total, allocation) => total + allocation.amount, 0));
+  }
+
+  if (amount <= 0) {
+    return { error: 'This coupon does not give a discount on your cart' };
+  }
+
+  return { amount, allocations };
+};
+
+// Fit a discount into what is still left to discount: no line goes below
+// zero and delivery is only waived once, however discounts stack
+const fitDiscount = (coupon, result, room) => {
+  if (coupon.type === 'free_shipping') {
+    return { amount: roundAmount(Math.min(result.amount, room.delivery)), allocations: [] };
+  }
+  const allocations = (result.allocations || [])
+    .map(({ index, amount }) => ({ index, amount: roundAmount(Math.min(amount, room.lines[index])) }))
+    .filter(allocation => allocation.amount > 0);
+  return { amount: roundAmount(allocations.reduce((total, allocation) => total + allocation.amount, 0)), allocations };
+};
+
+const takeDiscount = (room, coupon, { amount, allocations }) => {
+  if (coupon.type === 'free_shipping') room.delivery = roundAmount(room.delivery - amount);
+  for (const { index, amount: share } of allocations) {
+    room.lines[index] = roundAmount(room.lines[index] - share);
+  }
+};
+
+// Apply a coupon code and the best automatic promotion to a quote. An
+// invalid code throws so the customer sees why it was rejected.
+export const applyPromotions = async (quote, { couponCode = null, userId = null, guestEmail = null, session = null } = {}) => {
+  const applied = [];
+  const room = { lines: quote.items.map(item => item.lineTotal), delivery: quote.deliveryCharges };
+
+  if (couponCode) {
+    const coupon = await Coupon.findOne({ code: couponCode.trim().toUpperCase(), isAutomatic: false }).session(session);
+    if (!coupon) {
+      throw new HttpError(400, 'Invalid coupon code');
+    }
+    const result = await evaluateCoupon(coupon, quote, { userId, guestEmail, session });
+    if (result.error) {
+      throw new HttpError(400, result.error);
+    }
+    const fitted = fitDiscount(coupon, result, room);
+    takeDiscount(room, coupon, fitted);
+    applied.push({ coupon, ...fitted });
+  }
+
+  const now = new Date();
+  const promotions = await Coupon.find({
+    isAutomatic: true,
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+    ]
+  }).session(session);
+
+  // Promotions are compared on what they add on top of the coupon; a
+  // second free shipping adds nothing
+  const hasFreeShipping = applied.some(({ coupon }) => coupon.type === 'free_shipping');
+  let bestPromotion = null;
+  for (const promotion of promotions) {
+    if (hasFreeShipping && promotion.type === 'free_shipping') continue;
+    const result = await evaluateCoupon(promotion, quote, { userId, guestEmail, session });
+    if (result.error) continue;
+    const fitted = fitDiscount(promotion, result, room);
+    if (fitted.amount > 0 && (!bestPromotion || fitted.amount > bestPromotion.amount)) {
+      bestPromotion = { coupon: promotion, ...fitted };
+    }
+  }
+  if (bestPromotion) {
+    takeDiscount(room, bestPromotion.coupon, bestPromotion);
+    applied.push(bestPromotion);
+  }
+
+  // Record each line's share so later steps (tax, refunds) see the net price
+  const items = quote.items.map(item => ({ ...item, promotionDiscount: 0 }));
+  for (const { allocations } of applied) {
+    for (const allocation of allocations || []) {
+      items[allocation.index].promotionDiscount = roundAmount(items[allocation.index].promotionDiscount + allocation.amount);
+    }
+  }
+
+  const discounts = applied.map(({ coupon, amount }) => ({
+    coupon: coupon._id,
+    code: coupon.code,
+    name: coupon.name,
+    type: coupon.type,
+    amount
+  }));
+  const discountTotal = roundAmount(discounts.reduce((total, discount) => total + discount.amount, 0));
+
+  return {
+    ...quote,
+    items,
+    couponCode: couponCode ? couponCode.trim().toUpperCase() : undefined,
+    discounts,
+    discountTotal,
+    totalAmount: roundAmount(Math.max(0, quote.subtotal + quote.deliveryCharges - discountTotal))
+  };
+};
+
+// Count a use of each applied coupon. The usage limit is re-checked in the
+// update itself so concurrent checkouts can't overshoot it.
+export const redeemPromotions = async (discounts, session) => {
+  for (const discount of discounts || []) {
+    const result = await Coupon.updateOne(
+      {
+        _id: discount.coupon,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      throw new HttpError(409, `Coupon ${discount.code || discount.name} has reached its usage limit`);
+    }
+  }
+};
+
+// Give back coupon uses when an order is cancelled
+export const releasePromotions = async (discounts, session) => {
+  for (const discount of discounts || []) {
+    await Coupon.updateOne(
+      { _id: discount.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+};
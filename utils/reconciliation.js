@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import StatementImport from '../models/StatementImport.js';
+import { HttpError } from './httpError.js';
+import { parseCsv, toCsv } from './csv.js';
+import { roundAmount } from './orderPricing.js';
+import { recordAudit } from './audit.js';
+import { getOrderReference } from './orderNumbers.js';
+import { normalizeUtr, isValidUtr, submitPaymentProof, verifyPaymentProof } from './manualPayments.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const REVIEW_STATUSES = ['unmatched', 'ambiguous'];
+
+// "1,234.50", "₹ 1,234.50 Cr", "INR 500" -> number
+export const parseAmount = (value) => {
+  const cleaned = String(value || '').replace(/(₹|INR|Rs\.?|,|\s|CR|DR)/gi, '');
+  if (!cleaned) return null;
+  const amount = parseFloat(cleaned);
+  return isNaN(amount) ? null : roundAmount(amount);
+};
+
+// Indian statements write dates day first: 05/04/2026, 05-04-26,
+// 05-Apr-2026, 05 Apr 2026; ISO dates are accepted too
+export const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+  match = text.match(/^(\d{1,2})[/.\-\s]([A-Za-z]{3,}|\d{1,2})[/.\-\s](\d{2,4})/);
+  if (!match) return null;
+
+  const day = Number(match[1]);
+  const month = /^\d+$/.test(match[2])
+    ? Number(match[2]) - 1
+    : MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+  let year = Number(match[3]);
+  if (year < 100) year += 2000;
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  return new Date(Date.UTC(year, month, day));
+};
+
+// Pull the UTR out of a reference column or a narration such as
+// "UPI/412345678901/PAYMENT/..." or "NEFT-HDFCN52026040512345-..."
+export const extractUtr = (reference, narration) => {
+  // Some banks zero-pad the 12-digit UPI reference in their ref column
+  let ref = normalizeUtr(reference);
+  if (/^0+\d{12}$/.test(ref)) ref = ref.replace(/^0+/, '');
+  if (isValidUtr(ref) && /\d/.test(ref)) return ref;
+
+  const text = String(narration || '');
+  const bankTransfer = text.match(/(?:NEFT|IMPS|RTGS)[/\-:\s]+([A-Z0-9]{12,22})/i);
+  if (bankTransfer) return bankTransfer[1].toUpperCase();
+
+  const upi = text.match(/(?:^|\D)(\d{12})(?!\d)/);
+  return upi ? upi[1] : null;
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, '');
+
+const findColumn = (headers, patterns, exclude) => {
+  for (const pattern of patterns) {
+    const index = headers.findIndex(header => pattern.test(header) && !(exclude && exclude.test(header)));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+// Work out which columns hold what. Bank exports often start with a few
+// lines of account details, so the header is the first row that has a date
+// column and some kind of amount column.
+const detectColumns = (rows) => {
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, 25); rowIndex++) {
+    const headers = rows[rowIndex].map(normalizeHeader);
+    const columns = {
+      date: findColumn(headers, [/^(txn|transaction)date$/, /^(txn|transaction|value)?date$/, /date/]),
+      narration: findColumn(headers, [/narration/, /description/, /particulars/, /remarks/, /details/]),
+      reference: findColumn(headers, [/utr/, /ref/, /chq|cheque/]),
+      credit: findColumn(headers, [/credit/, /deposit/, /^cr$/, /^cramount$/], /debit/),
+      amount: findColumn(headers, [/^(txn|transaction)?amount/, /amount$/]),
+      type: findColumn(headers, [/^(crdr|drcr|type|txntype|transactiontype)$/])
+    };
+
+    if (columns.date !== -1 && (columns.credit !== -1 || columns.amount !== -1)) {
+      return { headerIndex: rowIndex, columns };
+    }
+  }
+  return null;
+};
+
+// Read the credits out of a bank statement CSV. Debits and rows without a
+// usable date or amount are skipped.
+export const parseStatement = (text) => {
+  const rows = parseCsv(text);
+  const detected = detectColumns(rows);
+  if (!detected) {
+    throw new HttpError(400, 'Could not find the date and amount columns in this statement');
+  }
+
+  const { headerIndex, columns } = detected;
+  const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+  const credits = [];
+  let dataRows = 0;
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    dataRows++;
+    const rowNumber = headerIndex + index + 2;
+
+    let amount;
+    if (columns.credit !== -1) {
+      amount = parseAmount(cell(row, columns.credit));
+    } else {
+      const type = cell(row, columns.type).toUpperCase();
+      const rawAmount = cell(row, columns.amount);
+      const isCredit = type ? type.startsWith('C') : !/DR/i.test(rawAmount);
+      amount = isCredit ? parseAmount(rawAmount) : null;
+    }
+
+    const date = parseStatementDate(cell(row, columns.date));
+    if (!amount || amount <= 0 || !date) return;
+
+    const narration = cell(row, columns.narration);
+    credits.push({
+      rowNumber,
+      date,
+      amount,
+      utr: extractUtr(cell(row, columns.reference), narration),
+      narration
+    });
+  });
+
+  return { credits, totalRows: dataRows };
+};
+
+const isPending = (order) =>
+  ['pending', 'failed'].includes(order.paymentStatus) &&
+  order.status !== 'cancelled' &&
+  order.paymentMethod !== 'cod';
+
+// Match one credit to the single pending order quoting its UTR for the same
+// amount, and mark that order paid. Anything less certain goes to review.
+export const reconcileCredit = async (credit, { req }) => {
+  const row = { ...credit, candidates: [] };
+  if (!credit.utr) {
+    return { ...row, status: 'unmatched', reason: 'No UTR found on this line' };
+  }
+
+  const orders = await Order.find({
+    $or: [
+      { 'paymentProof.utr': credit.utr },
+      { 'paymentDetails.transactionId': credit.utr }
+    ]
+  });
+  const paid = orders.filter(order => PAID_STATUSES.includes(order.paymentStatus));
+  const pending = orders.filter(isPending);
+
+  if (pending.length === 0) {
+    if (paid.length > 0) {
+      return { ...row, status: 'already_reconciled', order: paid[0]._id, reason: 'Order already marked paid' };
+    }
+    return { ...row, status: 'unmatched', reason: 'No pending order quotes this UTR' };
+  }
+
+  row.candidates = pending.map(order => order._id);
+  if (paid.length > 0) {
+    return { ...row, status: 'ambiguous', reason: 'UTR is already used on a paid order' };
+  }
+  if (pending.length > 1) {
+    return { ...row, status: 'ambiguous', reason: 'UTR is quoted on several orders' };
+  }
+
+  const [order] = pending;
+  if (Math.abs(order.totalAmount - credit.amount) > 0.01) {
+    return { ...row, status: 'ambiguous', reason: `Amount differs from the order total of ₹${order.totalAmount}` };
+  }
+  if (order.paymentProof?.status !== 'submitted') {
+    return { ...row, status: 'ambiguous', reason: 'Order has no payment proof awaiting review' };
+  }
+
+  try {
+    await verifyPaymentProof(order._id, {
+      req,
+      note: `Matched bank statement credit of ₹${credit.amount}`,
+      paymentDate: credit.date
+    });
+    return { ...row, status: 'matched', order: order._id, reason: 'Matched by UTR and amount' };
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error;
+    return { ...row, status: 'ambiguous', reason: error.message };
+  }
+};
+
+const countTotals = (statementImport) => {
+  const count = status => statementImport.rows.filter(row => row.status === status).length;
+  statementImport.totals.credits = statementImport.rows.length;
+  statementImport.totals.matched = count('matched') + count('resolved');
+  statementImport.totals.alreadyReconciled = count('already_reconciled');
+  statementImport.totals.review = statementImport.rows.filter(row => REVIEW_STATUSES.includes(row.status)).length;
+};
+
+// Import a statement file: parse it, match every credit and store the
+// outcome row by row
+export const importStatement = async ({ buffer, fileName, req }) => {
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+  if (await StatementImport.exists({ checksum })) {
+    throw new HttpError(409, 'This statement has already been imported');
+  }
+
+  const { credits, totalRows } = parseStatement(buffer.toString('utf8'));
+
+  const rows = [];
+  for (const credit of credits) {
+    rows.push(await reconcileCredit(credit, { req }));
+  }
+
+  const statementImport = new StatementImport({
+    fileName,
+    checksum,
+    uploadedBy: req.user._id,
+    totals: { rows: totalRows },
+    rows
+  });
+  countTotals(statementImport);
+
+  try {
+    await statementImport.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, 'This statement has already been imported');
+    }
+    throw error;
+  }
+
+  await recordAudit({
+    req,
+    action: 'reconciliation.imported',
+    entityType: 'StatementImport',
+    entityId: statementImport._id,
+    details: { fileName, totals: statementImport.toObject().totals }
+  });
+  return statementImport;
+};
+
+const findReviewRow = async (importId, rowId) => {
+  const statementImport = await StatementImport.findById(importId);
+  const row = statementImport?.rows.id(rowId);
+  if (!row) {
+    throw new HttpError(404, 'Statement row not found');
+  }
+  if (!REVIEW_STATUSES.includes(row.status)) {
+    throw new HttpError(400, 'This row does not need review');
+  }
+  return { statementImport, row };
+};
+
+// Settle a review row by pointing it at the order it pays for
+export const resolveRow = async (importId, rowId, { orderId, allowDuplicate = false, req }) => {
+  const { statementImport, row } = await findReviewRow(importId, rowId);
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+  if (!isPending(order)) {
+    throw new HttpError(400, 'This order is not awaiting payment');
+  }
+  if (Math.abs(order.totalAmount - row.amount) > 0.01) {
+    throw new HttpError(400, `Statement amount ₹${row.amount} does not match the order total of ₹${order.totalAmount}`);
+  }
+
+  // Record the statement's UTR on the order if the customer never sent one
+  if (order.paymentProof?.status !== 'submitted' || (row.utr && order.paymentProof.utr !== row.utr)) {
+    if (!row.utr) {
+      throw new HttpError(400, 'This line has no UTR and the order has no payment proof to verify');
+    }
+    await submitPaymentProof(order, { utr: row.utr });
+  }
+
+  await verifyPaymentProof(order._id, {
+    req,
+    note: `Linked to bank statement credit of ₹${row.amount}`,
+    paymentDate: row.date,
+    allowDuplicate
+  });
+
+  row.status = 'resolved';
+  row.order = order._id;
+  row.reason = 'Linked by admin';
+  row.resolvedBy = req.user._id;
+  row.resolvedAt = new Date();
+  countTotals(statementImport);
+  await statementImport.save();
+
+  await recordAudit({
+    req,
+    action: 'reconciliation.row_resolved',
+    entityType: 'StatementImport',
+    entityId: statementImport._id,
+    details: { rowId: row._id, order: order._id, utr: row.utr, amount: row.amount }
+  });
+  return { statementImport, row };
+};
+
+// Close a review row that is not a customer payment (interest, refunds, ...)
+export const ignoreRow = async (importId, rowId, { reason, req }) => {
+  const { statementImport, row } = await findReviewRow(importId, rowId);
+
+  row.status = 'ignored';
+  row.reason = reason;
+  row.resolvedBy = req.user._id;
+  row.resolvedAt = new Date();
+  countTotals(statementImport);
+  await statementImport.save();
+
+  await recordAudit({
+    req,
+    action: 'reconciliation.row_ignored',
+    entityType: 'StatementImport',
+    entityId: statementImport._id,
+    details: { rowId: row._id, utr: row.utr, amount: row.amount, reason }
+  });
+  return { statementImport, row };
+};
+
+// CSV report of an import, one line per credit
+export const buildImportReport = async (statementImport) => {
+  await statementImport.populate('rows.order', 'orderNumber trackingNumber');
+  const lines = [['Row', 'Date', 'Amount', 'UTR', 'Narration', 'Status', 'Reason', 'Order']];
+  for (const row of statementImport.rows) {
+    lines.push([
+      row.rowNumber,
+      row.date ? row.date.toISOString().slice(0, 10) : '',
+      row.amount,
+      row.utr,
+      row.narration,
+      row.status,
+      row.reason,
+      row.order ? getOrderReference(row.order) : ''
+    ]);
+  }
+  return toCsv(lines);
+};
@@ -0,0 +1,155 @@
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+import User from '../models/User.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { HttpError } from './httpError.js';
+import { sendEmail, emailTemplates } from './emailService.js';
+import { roundAmount } from './orderPricing.js';
+import { runInTransaction, lockOrder } from './inventory.js';
+import { getOrderReference } from './orderNumbers.js';
+import { getOrderContact } from './guestOrders.js';
+
+// Allowed refund status changes; failed payouts can be approved again
+export const REFUND_TRANSITIONS = {
+  requested: ['approved', 'failed'],
+  approved: ['processed', 'failed'],
+  failed: ['approved'],
+  processed: []
+};
+
+export const transitionRefund = (refund, status, { changedBy = null, note } = {}) => {
+  if (!(REFUND_TRANSITIONS[refund.status] || []).includes(status)) {
+    throw new HttpError(400, `Cannot move refund from ${refund.status} to ${status}`);
+  }
+  refund.history.push({ status, changedBy, note, changedAt: new Date() });
+  refund.status = status;
+};
+
+// What the customer has actually paid us for an order. Cash on delivery
+// counts as paid once the order has been delivered.
+export const getPaidAmount = (order) => {
+  if (['completed', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    return order.paymentDetails?.amount || order.totalAmount;
+  }
+  if (order.paymentMethod === 'cod' && ['delivered', 'returned'].includes(order.status)) {
+    return order.totalAmount;
+  }
+  return 0;
+};
+
+// Paid amount not yet covered by a pending or processed refund
+export const getRefundableAmount = async (order, session = null) => {
+  const refunds = await Refund.find({ order: order._id, status: { $ne: 'failed' } }).session(session);
+  const committed = refunds.reduce((total, refund) => total + refund.amount, 0);
+  return roundAmount(Math.max(0, getPaidAmount(order) - committed));
+};
+
+// Open a refund against an order, never for more than is left to refund.
+// Inside a transaction the order is locked first, so concurrent refunds
+// can't both be checked against the same refundable amount.
+export const createRefund = async ({ order, amount, method, bankDetails, reason, returnRequest, changedBy, session = null }) => {
+  if (session) await lockOrder(order._id, session);
+  const refundable = await getRefundableAmount(order, session);
+  const refundAmount = roundAmount(amount ?? refundable);
+
+  if (refundAmount <= 0 || refundable <= 0) {
+    throw new HttpError(400, 'There is nothing left to refund on this order');
+  }
+  if (refundAmount > refundable) {
+    throw new HttpError(400, `Refund amount cannot exceed ₹${refundable.toLocaleString()}`);
+  }
+  if (method === 'bank_transfer' && !bankDetails?.accountNumber && !bankDetails?.upiId) {
+    throw new HttpError(400, 'Bank account or UPI details are required for a bank transfer refund');
+  }
+  if (method === 'store_credit' && !order.user) {
+    throw new HttpError(400, 'Store credit needs an account. Refund guest orders to the original payment or a bank account.');
+  }
+
+  const [refund] = await Refund.create([{
+    order: order._id,
+    user: order.user,
+    returnRequest,
+    amount: refundAmount,
+    method,
+    bankDetails,
+    reason,
+    status: 'requested',
+    history: [{ status: 'requested', changedBy, note: reason }]
+  }], { session });
+  return refund;
+};
+
+// Recompute the order's refunded total and payment status from its
+// processed refunds
+export const syncOrderRefundStatus = async (orderId, session = null) => {
+  const order = await Order.findById(orderId).session(session);
+  if (!order) return null;
+
+  const processed = await Refund.find({ order: order._id, status: 'processed' }).session(session);
+  const refundedAmount = roundAmount(processed.reduce((total, refund) => total + refund.amount, 0));
+  const paidAmount = getPaidAmount(order);
+
+  order.refundedAmount = refundedAmount;
+  if (refundedAmount > 0) {
+    order.paymentStatus = refundedAmount >= paidAmount ? 'refunded' : 'partially_refunded';
+  }
+  await order.save({ session });
+  return order;
+};
+
+// Mark a refund as paid out. Store credit is added to the customer's
+// balance; the order's payment status and any return request follow along.
+export const processRefund = (refundId, { reference, adminId, note }) => runInTransaction(async (session) => {
+  const refund = await Refund.findById(refundId).session(session);
+  if (!refund) {
+    throw new HttpError(404, 'Refund not found');
+  }
+  if (refund.method !== 'store_credit' && !reference) {
+    throw new HttpError(400, 'A UTR or payment reference is required');
+  }
+
+  transitionRefund(refund, 'processed', { changedBy: adminId, note });
+  refund.reference = reference;
+  refund.processedBy = adminId;
+  refund.processedAt = new Date();
+  await refund.save({ session });
+
+  if (refund.method === 'store_credit') {
+    await User.updateOne({ _id: refund.user }, { $inc: { storeCredit: refund.amount } }, { session });
+  }
+
+  await syncOrderRefundStatus(refund.order, session);
+
+  if (refund.returnRequest) {
+    await ReturnRequest.updateOne(
+      { _id: refund.returnRequest, status: 'refund_initiated' },
+      {
+        $set: { status: 'refunded' },
+        $push: { history: { status: 'refunded', changedBy: adminId, note: reference, changedAt: new Date() } }
+      },
+      { session }
+    );
+  }
+
+  return refund;
+});
+
+// Email the customer about the current state of a refund
+export const notifyRefundUpdate = async (refund) => {
+  try {
+    await refund.populate({ path: 'order', select: 'orderNumber trackingNumber user guest shippingAddress' });
+    const contact = await getOrderContact(refund.order);
+    const emailResult = await sendEmail({
+      to: contact.email,
+      subject: 'Refund Update - Parnika Silks',
+      html: emailTemplates.refundUpdate(contact.name, getOrderReference(refund.order), refund)
+    });
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send refund update email:', emailResult.error || emailResult.message);
+    }
+  } catch (emailError) {
+    console.error('❌ Error sending refund update email:', emailError);
+    // Don't fail the request if email fails
+  }
+};
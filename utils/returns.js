@@ -0,0 +1,267 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import ReturnRequest, { RETURN_REASONS } from '../models/ReturnRequest.js';
+import { HttpError } from './httpError.js';
+import { roundAmount } from './orderPricing.js';
+import { runInTransaction, lockOrder, reserveStock, restoreStock } from './inventory.js';
+import { canTransition, transitionOrder } from './orderStatus.js';
+import { createRefund } from './refunds.js';
+import { generateOrderNumber, getOrderReference } from './orderNumbers.js';
+import { snapshotProduct } from './orderItems.js';
+
+// Allowed RMA status changes, mirroring the order status table
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'received'],
+  pickup_scheduled: ['received'],
+  received: ['refund_initiated', 'replaced', 'qc_failed'],
+  refund_initiated: ['refunded'],
+  rejected: [],
+  qc_failed: [],
+  refunded: [],
+  replaced: []
+};
+
+export const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+export const transitionReturn = (returnRequest, status, { changedBy = null, note } = {}) => {
+  if (!(RETURN_TRANSITIONS[returnRequest.status] || []).includes(status)) {
+    throw new HttpError(400, `Cannot move return request from ${returnRequest.status} to ${status}`);
+  }
+  returnRequest.history.push({ status, changedBy, note, changedAt: new Date() });
+  returnRequest.status = status;
+};
+
+// When the order was delivered, from its status timeline. Orders delivered
+// before the timeline existed fall back to the recorded delivery date, then
+// the expected one, then the order date, so they still get a window.
+export const getDeliveredAt = (order) => {
+  const entry = [...(order.statusHistory || [])].reverse().find(item => item.status === 'delivered');
+  return entry?.changedAt || order.deliveredAt || order.expectedDeliveryDate || order.createdAt || null;
+};
+
+// Units of each order line not already claimed by an open or completed request
+export const getReturnableQuantities = async (order, session = null) => {
+  const existing = await ReturnRequest.find({
+    order: order._id,
+    status: { $nin: ['rejected', 'qc_failed'] }
+  }).session(session);
+
+  const remaining = new Map(order.items.map(item => [item._id.toString(), item.quantity]));
+  for (const request of existing) {
+    for (const item of request.items) {
+      const key = item.orderItem.toString();
+      remaining.set(key, (remaining.get(key) || 0) - item.quantity);
+    }
+  }
+  return remaining;
+};
+
+// Check a customer's return request against the order and return the lines
+// to store. Throws an HttpError explaining the first problem found.
+export const validateReturnRequest = async (order, { type, items }, session = null) => {
+  if (!['return', 'exchange'].includes(type)) {
+    throw new HttpError(400, 'Request type must be return or exchange');
+  }
+  if (order.status !== 'delivered') {
+    throw new HttpError(400, 'Only delivered orders can be returned or exchanged');
+  }
+
+  const deliveredAt = getDeliveredAt(order);
+  const windowDays = getReturnWindowDays();
+  if (deliveredAt && Date.now() - deliveredAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+    throw new HttpError(400, `Returns are accepted within ${windowDays} days of delivery`);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Select at least one item to return');
+  }
+
+  const remaining = await getReturnableQuantities(order, session);
+  const lines = [];
+  for (const item of items) {
+    const orderItem = order.items.id(item.orderItem);
+    if (!orderItem) {
+      throw new HttpError(400, `Item ${item.orderItem} is not part of this order`);
+    }
+
+    const quantity = parseInt(item.quantity) || 0;
+    const available = remaining.get(orderItem._id.toString()) || 0;
+    if (quantity < 1 || quantity > available) {
+      throw new HttpError(400, `You can return up to ${available} unit(s) of this item`);
+    }
+
+    if (!RETURN_REASONS.includes(item.reason)) {
+      throw new HttpError(400, `Reason must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+
+    // Exchanges may swap to another variant of the same product
+    let exchangeVariant;
+    if (type === 'exchange') {
+      exchangeVariant = item.exchangeVariant || orderItem.variant;
+      if (item.exchangeVariant) {
+        const product = await Product.findById(orderItem.product).session(session);
+        const variant = product?.getVariant(item.exchangeVariant);
+        if (!variant || variant.isActive === false) {
+          throw new HttpError(400, 'The requested exchange option is not available');
+        }
+      }
+    }
+
+    lines.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity,
+      reason: item.reason,
+      comment: item.comment,
+      exchangeVariant
+    });
+  }
+  return lines;
+};
+
+// Open a return request. The order is re-read and the request re-checked
+// in the same transaction that stores it, so two requests sent together
+// can't both claim the same units.
+export const openReturnRequest = (orderId, { type, items, photos, userId }) => runInTransaction(async (session) => {
+  await lockOrder(orderId, session);
+  const order = await Order.findById(orderId).session(session);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  const lines = await validateReturnRequest(order, { type, items }, session);
+  const [returnRequest] = await ReturnRequest.create([{
+    order: order._id,
+    user: userId,
+    type,
+    items: lines,
+    photos,
+    status: 'requested',
+    history: [{ status: 'requested', changedBy: userId }]
+  }], { session });
+  return returnRequest;
+});
+
+// What the customer paid for the returned units, net of promotions
+export const calculateRefundAmount = (order, items) => roundAmount(items.reduce((total, item) => {
+  const orderItem = order.items.id(item.orderItem);
+  if (!orderItem) return total;
+  const paidForLine = orderItem.price * orderItem.quantity - (orderItem.promotionDiscount || 0);
+  return total + paidForLine * item.quantity / orderItem.quantity;
+}, 0));
+
+// Ship the exchanged units as a new, already-paid order
+const createReplacementOrder = async (order, returnRequest, adminId, session) => {
+  const items = [];
+  for (const item of returnRequest.items) {
+    const orderItem = order.items.id(item.orderItem);
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new HttpError(400, 'A product in this exchange no longer exists');
+    }
+    const variant = item.exchangeVariant ? product.getVariant(item.exchangeVariant) : null;
+    items.push({
+      product: product._id,
+      variant: variant?._id,
+      sku: variant?.sku || product.sku,
+      options: variant ? Object.fromEntries(variant.options || []) : undefined,
+      ...snapshotProduct(product, variant),
+      hsnCode: orderItem?.hsnCode || product.hsnCode,
+      taxRate: orderItem?.taxRate,
+      quantity: item.quantity,
+      price: 0,
+      listPrice: orderItem?.price
+    });
+  }
+
+  const replacement = new Order({
+    user: order.user,
+    guest: order.guest,
+    items,
+    subtotal: 0,
+    deliveryCharges: 0,
+    totalAmount: 0,
+    shippingAddress: order.shippingAddress,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: 'completed',
+    status: 'pending',
+    orderNumber: await generateOrderNumber(session),
+    statusHistory: [{ status: 'pending', changedBy: adminId, note: `Replacement for order ${getOrderReference(order)}` }],
+    replacementFor: order._id,
+    trackingNumber: `TRK${Date.now()}${Math.floor(Math.random() * 1000)}`
+  });
+
+  await replacement.save({ session });
+  await reserveStock(items, session);
+  return replacement;
+};
+
+// Record the quality check on received items. Passing items go back into
+// stock and the request moves on to a refund (opened in the refund ledger)
+// or a replacement order; failed items are not restocked and the request is
+// closed.
+export const completeQualityCheck = (returnRequestId, { passed, notes, adminId }) => runInTransaction(async (session) => {
+  const returnRequest = await ReturnRequest.findById(returnRequestId).session(session);
+  if (!returnRequest) {
+    throw new HttpError(404, 'Return request not found');
+  }
+  if (returnRequest.status !== 'received') {
+    throw new HttpError(400, 'Items must be received before quality check');
+  }
+
+  const order = await Order.findById(returnRequest.order).session(session);
+  returnRequest.qc = {
+    result: passed ? 'passed' : 'failed',
+    notes,
+    checkedBy: adminId,
+    checkedAt: new Date()
+  };
+
+  if (!passed) {
+    transitionReturn(returnRequest, 'qc_failed', { changedBy: adminId, note: notes });
+    await returnRequest.save({ session });
+    return returnRequest;
+  }
+
+  await restoreStock(returnRequest.items, session);
+
+  if (returnRequest.type === 'exchange') {
+    const replacement = await createReplacementOrder(order, returnRequest, adminId, session);
+    returnRequest.replacementOrder = replacement._id;
+    transitionReturn(returnRequest, 'replaced', { changedBy: adminId, note: notes });
+  } else {
+    returnRequest.refundAmount = calculateRefundAmount(order, returnRequest.items);
+    transitionReturn(returnRequest, 'refund_initiated', { changedBy: adminId, note: notes });
+    await createRefund({
+      order,
+      amount: returnRequest.refundAmount,
+      method: 'original_payment',
+      reason: 'Returned items passed quality check',
+      returnRequest: returnRequest._id,
+      changedBy: adminId,
+      session
+    });
+
+    // Once every unit has been returned for a refund, the order itself
+    // counts as returned
+    const refundedRequests = await ReturnRequest.find({
+      order: order._id,
+      type: 'return',
+      _id: { $ne: returnRequest._id },
+      status: { $in: ['refund_initiated', 'refunded'] }
+    }).session(session);
+    const returnedUnits = [...refundedRequests, returnRequest]
+      .flatMap(request => request.items)
+      .reduce((total, item) => total + item.quantity, 0);
+    const orderedUnits = order.items.reduce((total, item) => total + item.quantity, 0);
+    if (returnedUnits >= orderedUnits && canTransition(order.status, 'returned')) {
+      transitionOrder(order, 'returned', { changedBy: adminId, note: 'All items returned' });
+      await order.save({ session });
+    }
+  }
+
+  await returnRequest.save({ session });
+  return returnRequest;
+});
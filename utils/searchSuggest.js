@@ -0,0 +1,191 @@
+import Product from '../models/Product.js';
+import SearchMiss from '../models/SearchMiss.js';
+import { SYNONYM_GROUPS, normalizeQuery, buildQueryVariants, isKnownSynonym } from './searchSynonyms.js';
+import { loadCategoryIndex, findCategory } from './categories.js';
+import { collectAttributes } from './categoryAttributes.js';
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const MIN_QUERY_LENGTH = 2;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const toWords = (text) => normalizeQuery(text).split(/[^a-z0-9]+/).filter(word => word.length >= 3);
+
+// Edit distance between two words, giving up once it passes `max`
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Longer words tolerate more typos
+const allowedDistance = (word) => (word.length <= 4 ? 1 : word.length <= 8 ? 2 : 3);
+
+// Words and attribute values in the live catalogue, rebuilt every few
+// minutes. Small enough to keep in memory for a boutique catalogue.
+let vocabularyCache = null;
+
+const loadVocabulary = async () => {
+  if (vocabularyCache && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache;
+  }
+
+  const active = { isActive: { $ne: false } };
+  const categoryIndex = await loadCategoryIndex();
+  // Worded attributes only; numbers and yes/no values aren't searched for
+  const fields = collectAttributes(categoryIndex)
+    .filter(attribute => attribute.type === 'text' || attribute.type === 'enum')
+    .map(attribute => attribute.key);
+  const [products, ...specValues] = await Promise.all([
+    Product.find(active).select('name').lean(),
+    ...fields.map(field => Product.distinct(`specifications.${field}`, active))
+  ]);
+
+  // Word -> how often it appears, to prefer common words on ties
+  const words = new Map();
+  const addWords = (text) => {
+    for (const word of toWords(text)) words.set(word, (words.get(word) || 0) + 1);
+  };
+  products.forEach(product => addWords(product.name));
+  categoryIndex.categories
+    .filter(category => category.isActive !== false)
+    .forEach(category => addWords(category.name));
+  SYNONYM_GROUPS.flat().forEach(addWords);
+
+  const attributes = [];
+  fields.forEach((field, index) => {
+    for (const value of specValues[index]) {
+      if (typeof value !== 'string' || !value || value === 'Not specified') continue;
+      attributes.push({ field, value });
+      addWords(value);
+    }
+  });
+
+  vocabularyCache = { words, attributes, loadedAt: Date.now() };
+  return vocabularyCache;
+};
+
+// The query with each unknown word swapped for the closest catalogue word,
+// or null when every word is known or nothing is close enough
+export const findDidYouMean = async (query) => {
+  const normalized = normalizeQuery(query);
+  if (normalized.length < MIN_QUERY_LENGTH) return null;
+  const { words } = await loadVocabulary();
+
+  let changed = false;
+  const corrected = normalized.split(' ').map(word => {
+    if (word.length < 3 || words.has(word) || isKnownSynonym(word)) return word;
+
+    let best = null;
+    const max = allowedDistance(word);
+    for (const [candidate, frequency] of words) {
+      const distance = editDistance(word, candidate, max);
+      if (distance > max) continue;
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { candidate, distance, frequency };
+      }
+    }
+    if (!best) return word;
+    changed = true;
+    return best.candidate;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// Word-prefix pattern for each spelling of the query, so "kanchi" matches
+// "Kanchipuram Silk Saree" and "banarsi" matches "Banarasi ..."
+const buildPrefixPatterns = (query) => buildQueryVariants(query)
+  .map(term => new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}`, 'i'));
+
+const collectSuggestions = async (query, limit) => {
+  const patterns = buildPrefixPatterns(query);
+  const { attributes } = await loadVocabulary();
+  const categoryIndex = await loadCategoryIndex();
+
+  const products = await Product.find({
+    isActive: { $ne: false },
+    $or: patterns.map(pattern => ({ name: pattern }))
+  })
+    .select('name category price images')
+    .sort({ totalReviews: -1, createdAt: -1 })
+    .limit(limit);
+
+  const categories = categoryIndex.categories
+    .filter(category => category.isActive !== false)
+    .filter(category => patterns.some(pattern => pattern.test(category.name) || pattern.test(category.slug)))
+    .slice(0, limit)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+
+  const matchedAttributes = attributes
+    .filter(attribute => patterns.some(pattern => pattern.test(attribute.value)))
+    .slice(0, limit);
+
+  return {
+    products: products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      category: findCategory(categoryIndex, product.category)?.slug || null,
+      price: product.price,
+      image: product.images?.[0] || null
+    })),
+    categories,
+    attributes: matchedAttributes
+  };
+};
+
+const isEmpty = (suggestions) => suggestions.products.length === 0 &&
+  suggestions.categories.length === 0 &&
+  suggestions.attributes.length === 0;
+
+// As-you-type suggestions: products, categories and attribute values
+// (material, colour, ...) matching the query or its synonyms. When nothing
+// matches, suggestions for the closest spelling are returned with
+// `didYouMean` set to it.
+export const suggest = async (query, { limit = 5 } = {}) => {
+  const normalized = normalizeQuery(query);
+  const result = { query: normalized, products: [], categories: [], attributes: [], didYouMean: null };
+  if (normalized.length < MIN_QUERY_LENGTH) return result;
+
+  let suggestions = await collectSuggestions(normalized, limit);
+  if (isEmpty(suggestions)) {
+    const didYouMean = await findDidYouMean(normalized);
+    if (didYouMean) {
+      suggestions = await collectSuggestions(didYouMean, limit);
+      result.didYouMean = didYouMean;
+    }
+  }
+  return { ...result, ...suggestions };
+};
+
+// Count a search that found nothing. A repeat miss on a reviewed query
+// puts it back on the admins' list.
+export const recordSearchMiss = (query, didYouMean = null) => {
+  const normalized = normalizeQuery(query);
+  if (normalized.length < MIN_QUERY_LENGTH) return Promise.resolve(null);
+
+  const now = new Date();
+  return SearchMiss.findOneAndUpdate(
+    { query: normalized },
+    {
+      $inc: { count: 1 },
+      $set: { lastSearchedAt: now, didYouMean },
+      $setOnInsert: { firstSearchedAt: now },
+      $unset: { reviewedAt: 1, reviewedBy: 1 }
+    },
+    { upsert: true, new: true }
+  );
+};
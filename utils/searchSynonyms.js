@@ -0,0 +1,76 @@
+// Spellings shoppers use for the same weave, region or garment. A query
+// containing any term in a group also searches for the rest of the group.
+export const SYNONYM_GROUPS = [
+  ['kanjivaram', 'kanjeevaram', 'kanchipuram', 'kancheepuram', 'kanchi', 'conjeevaram'],
+  ['banarasi', 'banarsi', 'benarasi', 'benarsi', 'varanasi'],
+  ['paithani', 'paithni'],
+  ['patola', 'patolu'],
+  ['bandhani', 'bandhej', 'bandini'],
+  ['ikat', 'ikkat', 'pochampally', 'pochampalli'],
+  ['tussar', 'tussore', 'tasar', 'kosa'],
+  ['baluchari', 'baluchuri'],
+  ['kota', 'kota doria', 'kota doriya'],
+  ['chikankari', 'chikan'],
+  ['sambalpuri', 'sambalpur'],
+  ['gadwal', 'gadwal pattu'],
+  ['uppada', 'uppada pattu'],
+  ['chanderi', 'chanderi silk'],
+  ['jamdani', 'dhakai'],
+  ['pattu', 'silk'],
+  ['zari', 'jari'],
+  ['saree', 'sari', 'saris', 'sarees'],
+  ['lehenga', 'lehnga', 'lahenga', 'ghagra'],
+  ['salwar', 'salwar kameez', 'shalwar', 'churidar']
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches `term` as a whole word or phrase
+const termPattern = (term) => new RegExp(`(^|\\s)${escapeRegex(term)}($|\\s)`);
+
+export const normalizeQuery = (query) => String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Synonym groups with a term appearing as a whole word (or phrase) in the query
+export const findSynonymGroups = (query) => {
+  const normalized = normalizeQuery(query);
+  return SYNONYM_GROUPS.filter(group => group.some(term => termPattern(term).test(normalized)));
+};
+
+// The query plus every synonym of the terms in it, de-duplicated
+export const expandSearchTerms = (query) => {
+  const normalized = normalizeQuery(query);
+  const terms = [normalized];
+  for (const group of findSynonymGroups(normalized)) {
+    for (const term of group) {
+      if (!terms.includes(term)) terms.push(term);
+    }
+  }
+  return terms;
+};
+
+const MAX_QUERY_VARIANTS = 20;
+
+// The query re-spelt with each synonym in place of the term it contains,
+// e.g. "red banarsi" -> "red banarasi", "red benarasi", ... For prefix
+// matching, where the words have to stay together.
+export const buildQueryVariants = (query) => {
+  let variants = [normalizeQuery(query)];
+  for (const group of findSynonymGroups(query)) {
+    const next = [];
+    for (const variant of variants) {
+      // Longest first, so "kota doria" is replaced whole rather than just "kota"
+      const term = [...group].sort((a, b) => b.length - a.length).find(candidate => termPattern(candidate).test(variant));
+      if (!term) {
+        next.push(variant);
+        continue;
+      }
+      for (const replacement of group) {
+        next.push(variant.replace(termPattern(term), `$1${replacement}$2`));
+      }
+    }
+    variants = [...new Set(next)].slice(0, MAX_QUERY_VARIANTS);
+  }
+  return variants;
+};
+
+export const isKnownSynonym = (word) => SYNONYM_GROUPS.some(group => group.includes(word));
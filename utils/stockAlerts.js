@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import StockSubscription from '../models/StockSubscription.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { HttpError } from './httpError.js';
+import { getEffectivePrice } from './orderPricing.js';
+import { sendEmail, emailTemplates } from './emailService.js';
+import { getStorefrontUrl } from './emailPreferences.js';
+
+// Units handed to subscribers stay "spoken for" this long, so saving an
+// unrelated edit on a restocked product doesn't email the next batch
+const getHoldHours = () => parseFloat(process.env.STOCK_ALERT_HOLD_HOURS) || 24;
+
+const availableStock = (product, variant) => {
+  if (!variant) return product.stock || 0;
+  return variant.isActive === false ? 0 : variant.stock || 0;
+};
+
+export const subscribeToRestock = async ({ productId, variantId = null, user = null, email }) => {
+  const product = await Product.findById(productId);
+  if (!product || product.isActive === false) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  let variant = null;
+  if (variantId) {
+    variant = product.getVariant(variantId);
+    if (!variant || variant.isActive === false) {
+      throw new HttpError(400, `Please select a valid option for product: ${product.name}`);
+    }
+  }
+  if (availableStock(product, variant) > 0) {
+    throw new HttpError(400, 'This product is in stock');
+  }
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  try {
+    return await StockSubscription.create({
+      product: product._id,
+      variant: variant?._id || null,
+      user: user?._id,
+      email: normalizedEmail
+    });
+  } catch (error) {
+    // Already on the list: asking twice is fine
+    if (error.code === 11000) {
+      return StockSubscription.findOne({
+        product: product._id,
+        variant: variant?._id || null,
+        email: normalizedEmail,
+        status: 'waiting'
+      });
+    }
+    throw error;
+  }
+};
+
+export const cancelRestockSubscription = async ({ productId, variantId = null, email }) => {
+  const result = await StockSubscription.updateMany(
+    { product: productId, variant: variantId || null, email: String(email).trim().toLowerCase(), status: 'waiting' },
+    { $set: { status: 'cancelled' } }
+  );
+  return result.modifiedCount;
+};
+
+// Hand the next waiting subscriber their place, oldest first. Claiming and
+// marking happen in one update so two runs never email the same person.
+const claimNextSubscriber = (productId, variantId) => StockSubscription.findOneAndUpdate(
+  { product: productId, variant: variantId, status: 'waiting' },
+  { $set: { status: 'notified', notifiedAt: new Date() } },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+const notifyForStock = async (product, variant) => {
+  const available = availableStock(product, variant);
+  if (available <= 0) return 0;
+
+  const variantId = variant?._id || null;
+  const recentlyNotified = await StockSubscription.countDocuments({
+    product: product._id,
+    variant: variantId,
+    status: 'notified',
+    notifiedAt: { $gt: new Date(Date.now() - getHoldHours() * 60 * 60 * 1000) }
+  });
+
+  let notified = 0;
+  for (let slot = recentlyNotified; slot < available; slot++) {
+    const subscription = await claimNextSubscriber(product._id, variantId);
+    if (!subscription) break;
+
+    const user = subscription.user ? await User.findById(subscription.user).select('name') : null;
+    const emailResult = await sendEmail({
+      to: subscription.email,
+      subject: `Back in stock: ${product.name} - Parnika Silks`,
+      html: emailTemplates.backInStock(user?.name || 'Customer', {
+        name: variant ? `${product.name} (${variant.sku})` : product.name,
+        image: variant?.images?.[0] || product.images?.[0],
+        price: getEffectivePrice(product, variant).unitPrice,
+        url: `${getStorefrontUrl()}/product/${product._id}`
+      })
+    });
+
+    if (!emailResult.success) {
+      // Put them back at the front of the queue for the next restock
+      await StockSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { status: 'waiting' }, $unset: { notifiedAt: 1 } }
+      );
+      console.error('❌ Failed to send back-in-stock email:', emailResult.error || emailResult.message);
+      break;
+    }
+    notified += 1;
+  }
+  return notified;
+};
+
+// Email waiting subscribers for products that have stock again, in FIFO
+// batches no bigger than the units available. Call after the stock change
+// has committed; failures are only logged.
+export const notifyStockSubscribers = async (productIds) => {
+  const ids = [...new Set(productIds.map(id => String(id?._id || id)))];
+  for (const id of ids) {
+    try {
+      const hasWaiting = await StockSubscription.exists({ product: id, status: 'waiting' });
+      if (!hasWaiting) continue;
+
+      const product = await Product.findById(id);
+      if (!product || product.isActive === false) continue;
+
+      let notified = await notifyForStock(product, null);
+      for (const variant of product.variants || []) {
+        notified += await notifyForStock(product, variant);
+      }
+      if (notified > 0) {
+        console.log(`Sent ${notified} back-in-stock email(s) for product ${id}`);
+      }
+    } catch (error) {
+      console.error(`Error notifying stock subscribers for product ${id}:`, error);
+    }
+  }
+};
+
+// Shoppers waiting per product (and per option), most wanted first.
+// Pass productIds to limit the count to those products.
+export const getRestockDemand = async (productIds = null) => {
+  const match = { status: 'waiting' };
+  if (productIds) {
+    match.product = { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  const rows = await StockSubscription.aggregate([
+    { $match: match },
+    { $group: { _id: { product: '$product', variant: '$variant' }, waiting: { $sum: 1 }, oldest: { $min: '$createdAt' } } },
+    {
+      $group: {
+        _id: '$_id.product',
+        waiting: { $sum: '$waiting' },
+        oldest: { $min: '$oldest' },
+        variants: { $push: { variant: '$_id.variant', waiting: '$waiting' } }
+      }
+    },
+    { $sort: { waiting: -1 } }
+  ]);
+  return rows.map(row => ({ product: row._id, waiting: row.waiting, oldest: row.oldest, variants: row.variants }));
+};
@@ -0,0 +1,96 @@
+import { roundAmount } from './orderPricing.js';
+
+// GST rules per tax class; each category names the class its products
+// fall under. Prices are GST-inclusive, and ready-made
+// garments change slab on the per-piece selling price, so the rate is picked
+// after discounts. `upTo` is inclusive; the last slab has no upper bound.
+export const CATEGORY_TAX_RULES = {
+  saree: { hsnCode: '5007', slabs: [{ rate: 5 }] },
+  dress: { hsnCode: '6204', slabs: [{ upTo: 1000, rate: 5 }, { rate: 12 }] },
+  lehenga: { hsnCode: '6204', slabs: [{ upTo: 1000, rate: 5 }, { rate: 12 }] },
+  salwar: { hsnCode: '6204', slabs: [{ upTo: 1000, rate: 5 }, { rate: 12 }] },
+  other: { hsnCode: '6217', slabs: [{ upTo: 1000, rate: 5 }, { rate: 12 }] }
+};
+
+// State the goods ship from; decides CGST+SGST versus IGST
+export const getStoreState = () => process.env.STORE_STATE || 'Andhra Pradesh';
+
+// Compare states loosely: request bodies are HTML-escaped by the validators
+const normalizeState = (state) => String(state || '')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+export const getTaxRule = (taxClass) => CATEGORY_TAX_RULES[taxClass] || CATEGORY_TAX_RULES.other;
+
+// GST rate for one unit sold at `unitPrice` (tax inclusive)
+export const getTaxRate = (taxClass, unitPrice) => {
+  const { slabs } = getTaxRule(taxClass);
+  const slab = slabs.find(candidate => candidate.upTo === undefined || unitPrice <= candidate.upTo);
+  return slab.rate;
+};
+
+// Split a tax-inclusive amount into taxable value and CGST/SGST or IGST
+const splitInclusiveAmount = (amount, rate, interState) => {
+  const taxableValue = roundAmount(amount / (1 + rate / 100));
+  const totalTax = roundAmount(amount - taxableValue);
+  const cgst = interState ? 0 : roundAmount(totalTax / 2);
+  return {
+    taxableValue,
+    cgst,
+    sgst: interState ? 0 : roundAmount(totalTax - cgst),
+    igst: interState ? totalTax : 0,
+    totalTax
+  };
+};
+
+// Add a GST breakdown to a priced quote. Each line is taxed on what the
+// customer actually pays for it, i.e. after its share of promotions.
+// Delivery is taxed at the highest line rate, as GST treats it as part of a
+// composite supply. Totals are unchanged since prices include tax.
+export const applyTax = (quote, shippingState) => {
+  const sellerState = getStoreState();
+  const placeOfSupply = shippingState || sellerState;
+  const interState = normalizeState(placeOfSupply) !== normalizeState(sellerState);
+
+  const items = quote.items.map(item => {
+    const netAmount = Math.max(0, item.lineTotal - (item.promotionDiscount || 0));
+    const taxRate = getTaxRate(item.taxClass, netAmount / item.quantity);
+    return {
+      ...item,
+      hsnCode: item.hsnCode || getTaxRule(item.taxClass).hsnCode,
+      taxRate,
+      ...splitInclusiveAmount(netAmount, taxRate, interState)
+    };
+  });
+
+  const shippingWaived = (quote.discounts || [])
+    .filter(discount => discount.type === 'free_shipping')
+    .reduce((total, discount) => total + discount.amount, 0);
+  const chargedDelivery = Math.max(0, quote.deliveryCharges - shippingWaived);
+  const deliveryRate = items.reduce((highest, item) => Math.max(highest, item.taxRate), 0);
+  const delivery = {
+    amount: roundAmount(chargedDelivery),
+    taxRate: deliveryRate,
+    ...splitInclusiveAmount(chargedDelivery, deliveryRate, interState)
+  };
+
+  const sum = (field) => roundAmount(items.reduce((total, item) => total + item[field], 0) + delivery[field]);
+
+  return {
+    ...quote,
+    items,
+    tax: {
+      supplyType: interState ? 'inter_state' : 'intra_state',
+      sellerState,
+      placeOfSupply,
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalTax: sum('totalTax'),
+      delivery
+    }
+  };
+};
@@ -0,0 +1,149 @@
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { HttpError } from './httpError.js';
+import { getEffectivePrice } from './orderPricing.js';
+import { loadCategoryIndex, findCategory } from './categories.js';
+import { sendEmail, emailTemplates } from './emailService.js';
+import { getStorefrontUrl, isSubscribed, buildUnsubscribeUrl } from './emailPreferences.js';
+
+const sameVariant = (a, b) => String(a || '') === String(b || '');
+
+export const findWishlistItem = (wishlist, productId, variantId = null) => wishlist?.items.find(item =>
+  item.product.toString() === productId.toString() && sameVariant(item.variant, variantId)
+) || null;
+
+export const addToWishlist = async (userId, { productId, variantId = null }) => {
+  const product = await Product.findById(productId);
+  if (!product || product.isActive === false) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  let variant = null;
+  if (variantId) {
+    variant = product.getVariant(variantId);
+    if (!variant) {
+      throw new HttpError(400, `Please select a valid option for product: ${product.name}`);
+    }
+  }
+
+  const wishlist = await Wishlist.findOne({ user: userId }) || new Wishlist({ user: userId, items: [] });
+  if (!findWishlistItem(wishlist, product._id, variant?._id)) {
+    wishlist.items.push({
+      product: product._id,
+      variant: variant?._id,
+      priceWhenAdded: getEffectivePrice(product, variant).unitPrice
+    });
+    await wishlist.save();
+  }
+  return wishlist;
+};
+
+// Remove a product; with `variantId` only that option is removed
+export const removeFromWishlist = async (userId, productId, variantId = null) => {
+  const wishlist = await Wishlist.findOne({ user: userId });
+  if (!wishlist) return null;
+
+  wishlist.items = wishlist.items.filter(item =>
+    item.product.toString() !== productId.toString() || (variantId && !sameVariant(item.variant, variantId))
+  );
+  await wishlist.save();
+  return wishlist;
+};
+
+// Wishlist as sent to the storefront, with current price and stock
+export const presentWishlist = async (wishlist) => {
+  const items = wishlist ? wishlist.items : [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select('name price originalPrice discountPercentage images stock isActive variants category');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const categoryIndex = await loadCategoryIndex();
+
+  return {
+    items: items.map(item => {
+      const product = productsById.get(item.product.toString());
+      const base = { _id: item._id, product: item.product, variant: item.variant, addedAt: item.addedAt, priceWhenAdded: item.priceWhenAdded };
+      if (!product || product.isActive === false) {
+        return { ...base, name: product?.name || 'Product no longer available', isAvailable: false, inStock: false };
+      }
+
+      const variant = item.variant ? product.getVariant(item.variant) : null;
+      const { unitPrice, listPrice } = getEffectivePrice(product, variant);
+      const stock = variant ? variant.stock : product.stock;
+      return {
+        ...base,
+        name: product.name,
+        image: variant?.images?.[0] || product.images?.[0],
+        category: findCategory(categoryIndex, product.category)?.slug || null,
+        sku: variant?.sku,
+        price: unitPrice,
+        listPrice,
+        priceDropped: item.priceWhenAdded !== undefined && unitPrice < item.priceWhenAdded,
+        isAvailable: !variant || variant.isActive !== false,
+        inStock: stock > 0
+      };
+    })
+  };
+};
+
+// Price and stock of a product and each of its variants (keyed by variant
+// id, '' for the product itself), taken before an admin edit
+export const captureWatchState = (product) => {
+  const prices = new Map([['', getEffectivePrice(product).unitPrice]]);
+  const stock = new Map([['', product.stock || 0]]);
+  for (const variant of product.variants || []) {
+    prices.set(variant._id.toString(), getEffectivePrice(product, variant).unitPrice);
+    stock.set(variant._id.toString(), variant.isActive === false ? 0 : variant.stock || 0);
+  }
+  return { isActive: product.isActive !== false, prices, stock };
+};
+
+// Email everyone watching a product whose price dropped or which came back
+// into stock between `before` (captureWatchState) and the saved product.
+// Runs after the response is sent, so failures are only logged.
+export const notifyWishlistWatchers = async (before, product) => {
+  if (product.isActive === false) return;
+  const after = captureWatchState(product);
+
+  const wishlists = await Wishlist.find({ 'items.product': product._id });
+  for (const wishlist of wishlists) {
+    try {
+      const alerts = [];
+      for (const item of wishlist.items) {
+        if (item.product.toString() !== product._id.toString()) continue;
+
+        const key = item.variant ? item.variant.toString() : '';
+        if (!after.prices.has(key) || !before.prices.has(key)) continue;
+        const variant = item.variant ? product.getVariant(item.variant) : null;
+        const alert = {
+          name: variant ? `${product.name} (${variant.sku})` : product.name,
+          image: variant?.images?.[0] || product.images?.[0],
+          url: `${getStorefrontUrl()}/product/${product._id}`
+        };
+
+        if (before.stock.get(key) <= 0 && after.stock.get(key) > 0) {
+          alerts.push({ ...alert, type: 'back_in_stock', newPrice: after.prices.get(key) });
+        } else if (after.prices.get(key) < before.prices.get(key) && after.stock.get(key) > 0) {
+          alerts.push({ ...alert, type: 'price_drop', oldPrice: before.prices.get(key), newPrice: after.prices.get(key) });
+        }
+      }
+      if (alerts.length === 0) continue;
+
+      const user = await User.findById(wishlist.user).select('name email isActive emailPreferences');
+      if (!user || !user.isActive || !isSubscribed(user, 'wishlistAlerts')) continue;
+
+      const emailResult = await sendEmail({
+        to: user.email,
+        subject: alerts.some(alert => alert.type === 'back_in_stock')
+          ? 'Back in stock from your wishlist - Parnika Silks'
+          : 'Price drop on your wishlist - Parnika Silks',
+        html: emailTemplates.wishlistAlert(user.name, alerts, { unsubscribeUrl: buildUnsubscribeUrl(user, 'wishlistAlerts') })
+      });
+      if (!emailResult.success) {
+        console.error('❌ Failed to send wishlist alert:', emailResult.error || emailResult.message);
+      }
+    } catch (error) {
+      console.error(`Error sending wishlist alert for wishlist ${wishlist._id}:`, error);
+    }
+  }
+};